@@ -0,0 +1,47 @@
+// Service worker: keeps the app shell cached so an installed kiosk can start with no connection.
+// API requests are never cached here; offline data lives in localStorage (src/offlineQueue.js).
+const CACHE = 'eq-shell-v1'
+
+// Cache the page and the bundles it references at install, so one online visit is enough
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(CACHE)
+    const page = await fetch('/', { cache: 'no-cache' })
+    const html = await page.clone().text()
+    const assets = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(m => m[1])
+    await cache.put('/', page)
+    await cache.addAll([...assets, '/manifest.webmanifest', '/icon.svg'])
+    await self.skipWaiting()
+  })())
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    for (const key of await caches.keys()) {
+      if (key !== CACHE) await caches.delete(key)
+    }
+    await self.clients.claim()
+  })())
+})
+
+const cacheCopy = (key, response) => {
+  if (response.ok) {
+    const copy = response.clone()
+    caches.open(CACHE).then(cache => cache.put(key, copy))
+  }
+  return response
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return
+
+  // Pages: network first so a new deploy shows up, the cached shell when offline (it is a single-page app)
+  if (request.mode === 'navigate') {
+    event.respondWith(fetch(request).then(response => cacheCopy('/', response)).catch(() => caches.match('/')))
+    return
+  }
+
+  // Bundles have content hashes in their names, so a cached copy is never stale
+  event.respondWith(caches.match(request).then(cached => cached || fetch(request).then(response => cacheCopy(request, response))))
+})
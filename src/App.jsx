@@ -1,23 +1,110 @@
 import React, { useState, useEffect, useRef } from 'react'
+import { useSearchParams, useMatch, useNavigate, useLocation } from 'react-router-dom'
 import { supabase } from './supabaseClient'
+import { photoStorage, uploadPhoto } from './photoStorage'
+import { LABEL_LAYOUTS, buildLabelSheet, equipmentUrl } from './labelSheets'
+import { isNetworkError, getDeviceKey, saveCache, loadCache, loadQueue, enqueue, applyQueueToEquipment, applyQueueToOpenCheckouts, syncQueue, rememberMember, verifyOfflineMember, forgetOfflineToken } from './offlineQueue'
 import QRCode from 'qrcode'
-import { format, parseISO, differenceInDays, addDays, isPast, startOfDay } from 'date-fns'
+import { format, parseISO, differenceInDays, addDays, addMonths, isPast, isSameDay, isSameMonth, startOfDay, startOfMonth, endOfMonth, startOfWeek, endOfWeek, eachDayOfInterval } from 'date-fns'
 
-// Categories for equipment
-const CATEGORIES = ['All', 'Grounds', 'Tools', 'Cleaning', 'Electrical', 'Events', 'Shop', 'Range', 'Other']
+// Default per-item return entry in the cart
+const DEFAULT_RETURN_FORM = { condition: 'good', deficiencyDesc: '', severity: 'minor', hourMeter: '', photos: [] }
 
-// Maintenance intervals in days by category
-const MAINTENANCE_INTERVALS = {
-  'Grounds': 90,
-  'Tools': 180,
-  'Cleaning': 90,
-  'Electrical': 365,
-  'Events': null,
-  'Shop': 180,
-  'Range': 90,
-  'Other': null
+// Messages for error codes raised by checkout_equipment() / return_equipment() / request_checkout() / decide_*_request();
+// {item} is the equipment name, or the limit for the PERSONAL_* codes
+const RPC_ERROR_MESSAGES = {
+  NOT_AUTHENTICATED: 'Your session has expired. Please log in again.',
+  INVALID_USE_TYPE: 'Choose Club Work or Personal Use',
+  INVALID_RETURN_DATE: 'Expected return date cannot be in the past',
+  NOT_FOUND: 'One of the items no longer exists. The list has been refreshed.',
+  NOT_AVAILABLE: '{item} needs repair or is out of service',
+  ALREADY_CHECKED_OUT: '{item} was just checked out by someone else',
+  RESERVED: '{item} is reserved by another member before your return date',
+  NOT_CHECKED_OUT: '{item} has already been returned',
+  NOT_YOUR_CHECKOUT: '{item} is checked out to another member. Ask a chair to return it.',
+  DESCRIPTION_REQUIRED: 'Describe the issue with {item}',
+  NOT_AUTHORIZED: 'Only chairs can do that',
+  ALREADY_DECIDED: 'That request has already been decided. The list has been refreshed.',
+  EXTENSION_RESERVED: '{item} is reserved by another member before the requested date',
+  METER_READING_LOW: 'The hour-meter reading for {item} is lower than its last reading',
+  APPROVAL_REQUIRED: '{item} needs a chair\'s approval. The list has been refreshed.',
+  PERSONAL_TOO_LONG: 'Personal-use checkouts must come back within {item} days',
+  PERSONAL_ITEM_LIMIT: 'Members can have at most {item} items out (or waiting for approval) for personal use',
+  CERTIFICATION_REQUIRED: 'You need a current certification to use {item}. Ask a chair about training.',
+  UNKNOWN_MEMBER: 'The member account no longer exists',
+  OFFLINE_SIGNIN_INVALID: 'The kiosk had no valid offline sign-in for this member, so it could not act for them',
+  OFFLINE_NOT_ALLOWED: 'Chairs and members with an equipment role can\'t work offline',
+  OFFLINE_OP_INVALID: 'The kiosk sent a transaction that could not be read',
+  IMPORT_ROW_INVALID: 'Nothing was imported. {item}',
+  DEFICIENCY_FIELDS_LOCKED: 'You can only change the status and resolution of this deficiency'
 }
 
+// Audit log display
+const AUDIT_PAGE_SIZE = 200
+const AUDIT_TABLE_LABELS = { eq_equipment: 'Equipment', eq_checkouts: 'Checkout', eq_deficiencies: 'Deficiency' }
+const AUDIT_ACTION_LABELS = { INSERT: 'created', UPDATE: 'updated', DELETE: 'deleted' }
+const AUDIT_IGNORED_FIELDS = ['updated_at', 'created_at']
+
+// Deficiency workflow: pending → acknowledged → in-repair → resolved, or closed as won't fix
+const DEFICIENCY_STATUSES = {
+  'pending': { label: 'Pending', color: '#dc2626', bg: '#fee2e2' },
+  'acknowledged': { label: 'Acknowledged', color: '#d97706', bg: '#fef3c7' },
+  'in-repair': { label: 'In Repair', color: '#2563eb', bg: '#dbeafe' },
+  'resolved': { label: 'Resolved', color: '#16a34a', bg: '#dcfce7' },
+  'wont-fix': { label: "Won't Fix", color: '#64748b', bg: '#f1f5f9' }
+}
+const OPEN_DEFICIENCY_STATUSES = ['pending', 'acknowledged', 'in-repair']
+const NEXT_DEFICIENCY_STATUS = { 'pending': 'acknowledged', 'acknowledged': 'in-repair' }
+const DEFAULT_DEFICIENCY_FILTERS = { status: 'open', severity: '', assignee: '', member: '', item: '', category: '', from: '', to: '', search: '', sort: 'reported', desc: true, page: 1 }
+const DEFICIENCY_SORTS = { reported: { label: 'Reported date', column: 'reported_date' }, severity: { label: 'Severity', column: 'severity' }, status: { label: 'Status', column: 'status' }, equipment: { label: 'Equipment', column: 'eq_equipment(name)' } }
+
+// History and Inventory are paged on the server; filters and sort are kept in the URL (see readUrlFilters)
+const LIST_PAGE_SIZE = 50
+const EXPORT_BATCH_SIZE = 1000
+const DEFAULT_HISTORY_FILTERS = { member: '', item: '', category: '', useType: '', from: '', to: '', overdue: false, sort: 'checkout', desc: true, page: 1 }
+const HISTORY_SORTS = { equipment: 'eq_equipment(name)', member: 'users(last_name)', useType: 'use_type', checkout: 'checkout_date', expected: 'expected_return', returned: 'return_date' }
+const DEFAULT_INVENTORY_FILTERS = { search: '', category: '', status: '', retired: false, sort: 'code', desc: false, page: 1 }
+const INVENTORY_SORTS = { code: 'equipment_code', name: 'name', category: 'category', location: 'location', status: 'status', maintenance: 'last_maintenance' }
+
+// Analytics tab: the range defaults to the last 12 months, this month included; charts list this many items
+const defaultAnalyticsRange = () => ({ from: format(startOfMonth(addMonths(new Date(), -11)), 'yyyy-MM-dd'), to: format(new Date(), 'yyyy-MM-dd') })
+const ANALYTICS_TOP_ITEMS = 10
+const USE_TYPE_COLORS = { club: '#3b82f6', personal: '#ec4899' }
+
+// Certifications expiring within this many days are listed in the Admin tab
+const CERT_EXPIRING_SOON_DAYS = 30
+const DEFAULT_CERTIFICATION_FORM = { userId: '', target: '', certifiedOn: '', expiresOn: '', notes: '' }
+
+// Equipment import (Admin tab): fields a CSV column can map to; headers matching a label or alias are mapped automatically
+const IMPORT_FIELDS = [
+  { key: 'equipment_code', label: 'Code', aliases: ['code', 'equipment code', 'id', 'item code'] },
+  { key: 'name', label: 'Name', aliases: ['name', 'equipment', 'equipment name', 'item'] },
+  { key: 'category', label: 'Category', aliases: ['category', 'type'] },
+  { key: 'location', label: 'Location', aliases: ['location', 'storage location'] },
+  { key: 'status', label: 'Status', aliases: ['status'] },
+  { key: 'notes', label: 'Notes', aliases: ['notes', 'comments'] },
+  { key: 'maintenance_interval_days', label: 'Service Interval (days)', type: 'integer', aliases: ['service interval', 'maintenance interval', 'interval days'] },
+  { key: 'service_every_hours', label: 'Service Every (engine hrs)', type: 'number', aliases: ['service every hours', 'service hours'] },
+  { key: 'service_every_uses', label: 'Service Every (checkouts)', type: 'integer', aliases: ['service every uses', 'service uses'] },
+  { key: 'requires_approval', label: 'Requires Approval', type: 'boolean', aliases: ['approval'] },
+  { key: 'requires_certification', label: 'Requires Certification', type: 'boolean', aliases: ['certification'] }
+]
+const IMPORT_ACTION_STYLES = {
+  create: { label: 'Create', color: '#16a34a', bg: '#dcfce7' },
+  update: { label: 'Update', color: '#2563eb', bg: '#dbeafe' },
+  unchanged: { label: 'No change', color: '#64748b', bg: '#f1f5f9' },
+  reject: { label: 'Rejected', color: '#dc2626', bg: '#fee2e2' }
+}
+
+// Usage-based schedules show as "due soon" once this share of the hours/checkouts is used
+const USAGE_DUE_SOON_RATIO = 0.9
+
+// Common work-order types for the maintenance log (free text is also allowed)
+const SERVICE_TYPES = ['Inspection', 'Oil change', 'Blade sharpening', 'Chain sharpening', 'Filter replacement', 'Tune-up', 'Repair', 'Cleaning', 'Other']
+
+// Statuses a chair can set by hand ('checked-out' only comes from a checkout)
+const MANUAL_STATUSES = ['available', 'needs-repair', 'out-of-service']
+
 // Status colors
 const STATUS_COLORS = {
   'available': '#10b981',
@@ -26,10 +113,139 @@ const STATUS_COLORS = {
   'out-of-service': '#6b7280'
 }
 
+// Kiosk mode (shared shed tablet) - turned on with ?kiosk=on[&idle=seconds]. ?kiosk=off asks for a chair sign-in
+// before it turns kiosk mode off, so anyone at the tablet can't just leave it.
+const KIOSK_STORAGE_KEY = 'eq_kiosk'
+const DEFAULT_KIOSK_IDLE_SECONDS = 120
+// How often a kiosk with queued offline transactions retries the sync
+const OFFLINE_SYNC_INTERVAL_MS = 60000
+
+// Embeds for checkout and deficiency rows, shared by the fetches, the paged lists and the live (realtime) single-row fetch.
+// Every row has an item, so the inner join only lets the lists filter on the item's category.
+// Deficiencies are read from eq_deficiency_list, which already carries the reporter (users) and assignee names when the caller may see them.
+const CHECKOUT_SELECT = `*, eq_equipment!inner (equipment_code, name, category), users (first_name, last_name, employee_number)`
+const DEFICIENCY_SELECT = `*, eq_equipment!inner (equipment_code, name, category)`
+
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
 
+const getKioskConfig = () => {
+  const params = new URLSearchParams(window.location.search)
+  const exitRequested = params.get('kiosk') === 'off'
+  if (params.has('kiosk') && !exitRequested) localStorage.setItem(KIOSK_STORAGE_KEY, JSON.stringify({ idleSeconds: parseInt(params.get('idle')) || DEFAULT_KIOSK_IDLE_SECONDS }))
+  if (params.has('kiosk')) {
+    params.delete('kiosk')
+    params.delete('idle')
+    window.history.replaceState(null, '', `${window.location.pathname}${params.toString() ? `?${params}` : ''}`)
+  }
+  const stored = localStorage.getItem(KIOSK_STORAGE_KEY)
+  return stored ? { ...JSON.parse(stored), exitRequested } : null
+}
+
+// Member badges scan as plain numbers or with a prefix (e.g. "GSC-00142", "MEMBER:142")
+const parseMemberBadge = (value) => {
+  const match = value.trim().match(/(\d+)$/)
+  return match ? String(parseInt(match[1], 10)) : null
+}
+
+// Realtime: replace (or add) one row in a list held in state, keeping the list in the order the fetch returned it
+const mergeRow = (rows, row, compare) => [...rows.filter(r => r.id !== row.id), row].sort(compare)
+const byEquipmentCode = (a, b) => a.equipment_code.localeCompare(b.equipment_code)
+const newestFirst = (field) => (a, b) => (b[field] || '').localeCompare(a[field] || '')
+
+// Labels printed since item pages were added hold a link (equipmentUrl); older ones hold just the code
+const parseEquipmentScan = (value) => {
+  const match = value.trim().match(/\/equipment\/([^/?#\s]+)/)
+  return match ? decodeURIComponent(match[1]) : value.trim()
+}
+
+const isOpenDeficiency = (def) => OPEN_DEFICIENCY_STATUSES.includes(def.status)
+
+// List filters live in the address bar as prefixed params (?history.member=…&history.page=2) so a reload or a
+// shared link keeps them. Only values that differ from the defaults are written.
+const readUrlFilters = (params, prefix, defaults) => Object.fromEntries(Object.entries(defaults).map(([key, value]) => {
+  const stored = params.get(`${prefix}.${key}`)
+  if (stored === null) return [key, value]
+  if (typeof value === 'boolean') return [key, stored === '1']
+  if (typeof value === 'number') return [key, parseInt(stored) || value]
+  return [key, stored]
+}))
+
+// Built from window.location rather than the router's copy, which misses the kiosk's own replaceState (getDeviceKey)
+const writeUrlFilters = (prefix, filters, defaults) => {
+  const params = new URLSearchParams(window.location.search)
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value === defaults[key]) params.delete(`${prefix}.${key}`)
+    else params.set(`${prefix}.${key}`, typeof value === 'boolean' ? (value ? '1' : '0') : value)
+  })
+  return params
+}
+
+const clearUrlFilters = () => {
+  const params = new URLSearchParams(window.location.search)
+  Array.from(params.keys()).filter(key => /^(history|deficiencies|inventory|analytics)\./.test(key)).forEach(key => params.delete(key))
+  return params
+}
+
+// Text for an ilike inside .or(): commas and parentheses would break the filter syntax, * is a wildcard
+const ilikePattern = (text) => `%${text.trim().replace(/[,()*%\\]/g, ' ')}%`
+
+const endOfDayFilter = (date) => format(addDays(parseISO(date), 1), 'yyyy-MM-dd')
+
+// Open checkouts are overdue from their expected return date on, as in getOverdueCheckouts
+const applyHistoryFilters = (query, filters) => {
+  if (filters.member) query = query.eq('user_id', filters.member)
+  if (filters.item) query = query.eq('equipment_id', filters.item)
+  if (filters.category) query = query.eq('eq_equipment.category', filters.category)
+  if (filters.useType) query = query.eq('use_type', filters.useType)
+  if (filters.from) query = query.gte('checkout_date', filters.from)
+  if (filters.to) query = query.lt('checkout_date', endOfDayFilter(filters.to))
+  if (filters.overdue) query = query.is('return_date', null).lte('expected_return', format(new Date(), 'yyyy-MM-dd'))
+  return query.order(HISTORY_SORTS[filters.sort] || HISTORY_SORTS.checkout, { ascending: !filters.desc, nullsFirst: false }).order('id')
+}
+
+// filters.status is 'open', '' (all) or a single status; filters.assignee is 'me', 'unassigned' or a user id
+const applyDeficiencyFilters = (query, filters, userId) => {
+  if (filters.status === 'open') query = query.in('status', OPEN_DEFICIENCY_STATUSES)
+  else if (filters.status) query = query.eq('status', filters.status)
+  if (filters.severity) query = query.eq('severity', filters.severity)
+  if (filters.assignee === 'me') query = query.eq('assigned_to', userId)
+  else if (filters.assignee === 'unassigned') query = query.is('assigned_to', null)
+  else if (filters.assignee) query = query.eq('assigned_to', filters.assignee)
+  if (filters.member) query = query.eq('reported_by', filters.member)
+  if (filters.item) query = query.eq('equipment_id', filters.item)
+  if (filters.category) query = query.eq('eq_equipment.category', filters.category)
+  if (filters.from) query = query.gte('reported_date', filters.from)
+  if (filters.to) query = query.lte('reported_date', filters.to)
+  if (filters.search.trim()) query = query.ilike('description', ilikePattern(filters.search))
+  return query.order((DEFICIENCY_SORTS[filters.sort] || DEFICIENCY_SORTS.reported).column, { ascending: !filters.desc }).order('created_at', { ascending: false }).order('id')
+}
+
+const applyInventoryFilters = (query, filters) => {
+  if (!filters.retired) query = query.is('retired_at', null)
+  if (filters.search.trim()) {
+    const pattern = ilikePattern(filters.search)
+    query = query.or(`name.ilike.${pattern},equipment_code.ilike.${pattern},location.ilike.${pattern}`)
+  }
+  if (filters.category) query = query.eq('category', filters.category)
+  if (filters.status) query = query.eq('status', filters.status)
+  return query.order(INVENTORY_SORTS[filters.sort] || INVENTORY_SORTS.code, { ascending: !filters.desc, nullsFirst: false }).order('id')
+}
+
+const pageRange = (page) => [(page - 1) * LIST_PAGE_SIZE, page * LIST_PAGE_SIZE - 1]
+
+// A response is capped (1000 rows by default), so exports read the whole filtered list in batches
+const fetchAllRows = async (buildQuery) => {
+  const rows = []
+  for (let from = 0; ; from += EXPORT_BATCH_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + EXPORT_BATCH_SIZE - 1)
+    if (error) throw error
+    rows.push(...data)
+    if (data.length < EXPORT_BATCH_SIZE) return rows
+  }
+}
+
 const getOverdueCheckouts = (checkouts) => {
   const today = startOfDay(new Date())
   return checkouts.filter(c => {
@@ -43,32 +259,159 @@ const getOverdueCheckouts = (checkouts) => {
   })).sort((a, b) => b.daysOverdue - a.daysOverdue)
 }
 
-const getMaintenanceDue = (equipment) => {
+// Item override first, then the category default; null means no scheduled maintenance
+const getMaintenanceInterval = (eq, categories) => {
+  return eq.maintenance_interval_days || categories.find(c => c.name === eq.category)?.maintenance_interval_days || null
+}
+
+// Each item is flagged by whichever schedule (calendar, engine hours, checkouts) comes due first.
+// usage is keyed by equipment id, from the eq_equipment_usage view.
+const getMaintenanceDue = (equipment, categories, usage = {}) => {
   const today = startOfDay(new Date())
-  return equipment.filter(eq => {
-    const interval = MAINTENANCE_INTERVALS[eq.category]
-    if (!interval) return false
-    if (!eq.last_maintenance) return true
-    const lastMaint = parseISO(eq.last_maintenance)
-    const nextDue = addDays(lastMaint, interval)
-    return isPast(nextDue) || differenceInDays(nextDue, today) <= 14
-  }).map(eq => {
-    const interval = MAINTENANCE_INTERVALS[eq.category]
+  return equipment.map(eq => {
+    const interval = getMaintenanceInterval(eq, categories)
+    const hoursSinceService = usage[eq.id]?.hours_since_service != null ? Number(usage[eq.id].hours_since_service) : null
+    const usesSinceService = usage[eq.id]?.uses_since_service ?? null
+    const triggers = []
     let daysPast = null
     let nextDue = null
-    if (eq.last_maintenance) {
-      const lastMaint = parseISO(eq.last_maintenance)
-      nextDue = addDays(lastMaint, interval)
+    if (interval && !eq.last_maintenance) {
+      triggers.push({ type: 'calendar', overdue: true, label: 'Never Done' })
+    } else if (interval) {
+      nextDue = addDays(parseISO(eq.last_maintenance), interval)
       daysPast = differenceInDays(today, nextDue)
+      if (isPast(nextDue) || differenceInDays(nextDue, today) <= 14) triggers.push({ type: 'calendar', overdue: daysPast > 0, label: daysPast > 0 ? `${daysPast} days overdue` : 'Due Soon' })
+    }
+    if (eq.service_every_hours && hoursSinceService != null && hoursSinceService >= eq.service_every_hours * USAGE_DUE_SOON_RATIO) {
+      const overdue = hoursSinceService >= eq.service_every_hours
+      triggers.push({ type: 'hours', overdue, label: overdue ? `${hoursSinceService} hrs since service` : 'Hours Due Soon' })
     }
-    return { ...eq, daysPastDue: daysPast, nextDueDate: nextDue, neverMaintained: !eq.last_maintenance }
-  }).sort((a, b) => {
+    if (eq.service_every_uses && usesSinceService != null && usesSinceService >= eq.service_every_uses * USAGE_DUE_SOON_RATIO) {
+      const overdue = usesSinceService >= eq.service_every_uses
+      triggers.push({ type: 'uses', overdue, label: overdue ? `${usesSinceService} uses since service` : 'Uses Due Soon' })
+    }
+    return { ...eq, maintenanceInterval: interval, daysPastDue: daysPast, nextDueDate: nextDue, neverMaintained: !!interval && !eq.last_maintenance, hoursSinceService, usesSinceService, triggers }
+  }).filter(eq => eq.triggers.length > 0).sort((a, b) => {
     if (a.neverMaintained && !b.neverMaintained) return -1
     if (!a.neverMaintained && b.neverMaintained) return 1
+    const aOverdue = a.triggers.some(t => t.overdue)
+    const bOverdue = b.triggers.some(t => t.overdue)
+    if (aOverdue !== bOverdue) return aOverdue ? -1 : 1
     return (b.daysPastDue || 0) - (a.daysPastDue || 0)
   })
 }
 
+// Reservations that overlap the range, plus open checkouts (eq_open_checkouts) expected back on or after its start
+// or with no return date
+const getReservationConflicts = (equipmentId, startDate, endDate, reservations, openCheckouts) => {
+  if (!equipmentId || !startDate || !endDate) return []
+  const start = parseISO(startDate)
+  const end = parseISO(endDate)
+  const reserved = reservations.filter(r => r.equipment_id === equipmentId && r.status === 'active' && parseISO(r.start_date) <= end && parseISO(r.end_date) >= start)
+  const checkedOut = openCheckouts.filter(c => c.equipment_id === equipmentId && (!c.expected_return || parseISO(c.expected_return) >= start))
+  return [
+    ...reserved.map(r => ({ id: r.id, type: 'reservation', label: `Reserved ${r.start_date} to ${r.end_date} by ${fullName(r.users)}` })),
+    ...checkedOut.map(c => ({ id: c.id, type: 'checkout', label: c.expected_return ? `Checked out until ${c.expected_return}` : 'Checked out with no return date' }))
+  ]
+}
+
+// Why a checkout of this item has to wait for a chair (eq_requires_approval), or null
+const getApprovalReason = (eq, categories, useType, settings) => {
+  const category = categories.find(c => c.name === eq.category)
+  if (eq.requires_approval || category?.requires_approval) return 'Needs approval'
+  if (useType === 'personal' && settings?.personal_requires_approval) return 'Personal use needs approval'
+  return null
+}
+
+const requiresCertification = (eq, categories) => eq.requires_certification || !!categories.find(c => c.name === eq.category)?.requires_certification
+
+// The member's current certification for the item or its category (eq_is_certified), if any
+const findCertification = (userId, eq, certifications) => {
+  const today = startOfDay(new Date())
+  return certifications.find(c => c.user_id === userId && (c.equipment_id === eq.id || c.category === eq.category) && (!c.expires_on || parseISO(c.expires_on) >= today)) || null
+}
+
+// Another member's active reservation that starts before the checkout would come back.
+// With no return date the checkout is open-ended, so any upcoming reservation blocks it.
+const getBlockingReservation = (equipmentId, userId, expectedReturn, reservations) => {
+  const today = startOfDay(new Date())
+  return reservations.find(r => r.equipment_id === equipmentId && r.user_id !== userId && r.status === 'active' && (!expectedReturn || parseISO(r.start_date) <= parseISO(expectedReturn)) && parseISO(r.end_date) >= today) || null
+}
+
+const getUpcomingReservations = (equipmentId, reservations) => {
+  const today = startOfDay(new Date())
+  return reservations.filter(r => r.equipment_id === equipmentId && r.status === 'active' && parseISO(r.end_date) >= today).sort((a, b) => a.start_date.localeCompare(b.start_date))
+}
+
+const fullName = (u) => u ? `${u.first_name} ${u.last_name}` : 'A member'
+
+// Everything that happened to one item, newest first, for its page. Dates without a time (DATE columns)
+// sort as the start of that day.
+const buildItemTimeline = (item, history) => {
+  const events = []
+  const add = (date, kind, title, details = [], extra = {}) => { if (date) events.push({ key: `${kind}-${events.length}`, date, kind, title, details: details.filter(Boolean), ...extra }) }
+  for (const c of history.checkouts) {
+    const who = fullName(c.users)
+    add(c.checkout_date, 'checkout', `Checked out by ${who}`, [c.use_type === 'club' ? 'Club work' : 'Personal use', c.purpose, c.expected_return && `Due back ${format(parseISO(c.expected_return), 'MMM d, yyyy')}`], { checkoutId: c.id, photoKind: 'checkout-before' })
+    add(c.return_date, 'return', `Returned by ${who}`, [c.return_condition === 'deficiency' ? 'Returned with a problem' : c.return_condition === 'good' && 'Good condition', c.hour_meter_reading != null && `Hour meter: ${c.hour_meter_reading}`], { checkoutId: c.id, photoKind: 'checkout-after' })
+  }
+  for (const d of history.deficiencies) {
+    add(d.reported_date, 'deficiency', `${d.severity === 'major' ? 'Major' : 'Minor'} problem reported by ${fullName(d.users)}`, [d.description, OPEN_DEFICIENCY_STATUSES.includes(d.status) && `${DEFICIENCY_STATUSES[d.status].label}${d.assignee ? ` · assigned to ${fullName(d.assignee)}` : ''}`], { deficiency: d })
+    if (!OPEN_DEFICIENCY_STATUSES.includes(d.status)) add(d.resolved_date, 'resolved', `Problem closed: ${DEFICIENCY_STATUSES[d.status]?.label || d.status}`, [d.description, d.resolution_notes], { deficiency: d })
+  }
+  for (const m of history.maintenance) {
+    add(m.performed_date, 'maintenance', m.service_type, [m.users ? fullName(m.users) : 'Outside vendor / other', m.parts && `Parts: ${m.parts}`, m.hour_meter_reading != null && `Hour meter: ${m.hour_meter_reading}`, m.notes])
+  }
+  add(item.created_at, 'created', 'Added to inventory')
+  add(item.retired_at, 'retired', 'Retired', [item.status_reason])
+  return events.sort((a, b) => parseISO(b.date) - parseISO(a.date))
+}
+
+const ITEM_EVENT_COLORS = { checkout: '#f59e0b', return: '#10b981', deficiency: '#ef4444', resolved: '#10b981', maintenance: '#3b82f6', created: '#64748b', retired: '#64748b' }
+
+const getRpcErrorMessage = (error, fallback) => {
+  const template = RPC_ERROR_MESSAGES[error?.message]
+  return template ? template.replace('{item}', error.details || 'This item') : fallback
+}
+
+const describeAuditEntry = (entry) => {
+  const before = entry.old_data || {}
+  const after = entry.new_data || {}
+  if (entry.table_name === 'eq_checkouts') {
+    if (entry.action === 'INSERT') return `Checked out (${after.use_type === 'club' ? 'club work' : 'personal use'})`
+    if (entry.action === 'UPDATE' && after.return_date && !before.return_date) return `Returned${after.return_condition === 'deficiency' ? ' with deficiency' : ''}`
+  }
+  if (entry.table_name === 'eq_deficiencies') {
+    if (entry.action === 'INSERT') return `${after.severity === 'major' ? 'Major' : 'Minor'} deficiency reported`
+    if (entry.action === 'UPDATE' && after.status !== before.status) return `Deficiency marked ${after.status}`
+  }
+  if (entry.table_name === 'eq_equipment') {
+    if (entry.action === 'INSERT') return 'Equipment added'
+    if (entry.action === 'DELETE') return 'Equipment deleted'
+    if (after.status !== before.status) return `Status changed to ${after.status}`
+  }
+  return `${AUDIT_TABLE_LABELS[entry.table_name] || entry.table_name} ${AUDIT_ACTION_LABELS[entry.action]}`
+}
+
+// One line for an offline kiosk transaction (eq_offline_ops) in the conflicts list
+const describeOfflineOp = (op, equipment) => {
+  const name = (id) => equipment.find(eq => eq.id === id)?.name || 'Unknown item'
+  if (op.error_code === 'OFFLINE_OP_INVALID') return 'Unreadable kiosk transaction'
+  if (op.kind === 'checkout') return `Checkout of ${[...(op.payload.equipment_ids || []), ...(op.payload.request_ids || [])].map(name).join(', ')}`
+  if (op.kind === 'return') return `Return of ${(op.payload.returns || []).map(r => `${name(r.equipment_id)}${r.condition === 'deficiency' ? ` (reported: ${r.description})` : ''}`).join(', ')}`
+  return `Problem report for ${name(op.payload.equipment_id)}: ${op.payload.description}`
+}
+
+// Field-level before/after values for an UPDATE entry
+const getAuditChanges = (entry) => {
+  if (entry.action !== 'UPDATE') return []
+  const before = entry.old_data || {}
+  const after = entry.new_data || {}
+  return Object.keys(after)
+    .filter(key => !AUDIT_IGNORED_FIELDS.includes(key) && JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+    .map(key => ({ field: key, from: before[key], to: after[key] }))
+}
+
 const exportToCSV = (data, filename, columns) => {
   const headers = columns.map(c => c.header).join(',')
   const rows = data.map(row => 
@@ -90,6 +433,91 @@ const exportToCSV = (data, filename, columns) => {
   link.click()
 }
 
+// Splits CSV text into rows of cells (quoted fields may contain commas, quotes and newlines); blank lines are dropped
+const parseCSV = (text) => {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i]
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++ }
+      else if (ch === '"') quoted = false
+      else field += ch
+    } else if (ch === '"') quoted = true
+    else if (ch === ',') { row.push(field); field = '' }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++
+      row.push(field); rows.push(row); row = []; field = ''
+    } else field += ch
+  }
+  if (field || row.length) { row.push(field); rows.push(row) }
+  return rows.filter(r => r.some(cell => cell.trim() !== ''))
+}
+
+const guessImportField = (header) => {
+  const h = header.trim().toLowerCase()
+  return IMPORT_FIELDS.find(f => f.label.toLowerCase() === h || f.aliases.includes(h))?.key || ''
+}
+
+// Dry run of an import: what each row would do against the current inventory, with the reasons a row is rejected.
+// mapping[i] is the field key for CSV column i ('' = ignored). Rows with a code update that item; rows without one create a new item.
+const buildImportPreview = (rows, mapping, equipment, categoryNames, managedCategories) => {
+  const byCode = new Map(equipment.map(eq => [eq.equipment_code.toUpperCase(), eq]))
+  const seenCodes = new Set()
+  return rows.map((cells, index) => {
+    const errors = []
+    const data = {}
+    mapping.forEach((key, col) => {
+      const raw = (cells[col] || '').trim()
+      if (!key || raw === '') return
+      const field = IMPORT_FIELDS.find(f => f.key === key)
+      if (field.type === 'integer' || field.type === 'number') {
+        const n = Number(raw)
+        if (!(n > 0) || (field.type === 'integer' && !Number.isInteger(n))) errors.push(`${field.label} must be a positive ${field.type === 'integer' ? 'whole number' : 'number'}`)
+        else data[key] = n
+      } else if (field.type === 'boolean') {
+        const value = raw.toLowerCase()
+        if (['yes', 'y', 'true', '1', 'x'].includes(value)) data[key] = true
+        else if (['no', 'n', 'false', '0'].includes(value)) data[key] = false
+        else errors.push(`${field.label} must be yes or no`)
+      } else data[key] = raw
+    })
+
+    const code = data.equipment_code?.toUpperCase()
+    const item = code ? byCode.get(code) : null
+    if (code) {
+      if (seenCodes.has(code)) errors.push(`${code} appears more than once in the file`)
+      seenCodes.add(code)
+      if (!item) errors.push(`No item has code ${code} (leave Code blank to add a new item)`)
+      else if (!managedCategories.includes(item.category)) errors.push(`${item.name} is in ${item.category}, which you don't manage`)
+    } else {
+      if (!data.name) errors.push('Name is required for new items')
+      if (!data.category) errors.push('Category is required for new items')
+    }
+    if (data.category) {
+      const category = categoryNames.find(c => c.toLowerCase() === data.category.toLowerCase())
+      if (!category) errors.push(`Unknown category "${data.category}"`)
+      else if (!managedCategories.includes(category)) errors.push(`You don't manage ${category}`)
+      else data.category = category
+    }
+    if (data.status) {
+      const status = data.status.toLowerCase().replace(/[\s_]+/g, '-')
+      if (item && status === item.status) delete data.status
+      else if (!MANUAL_STATUSES.includes(status)) errors.push(`Status must be one of ${MANUAL_STATUSES.join(', ')}`)
+      else if (item?.status === 'checked-out') errors.push(`${item.name} is checked out, so its status can't change`)
+      else data.status = status
+    }
+
+    delete data.equipment_code
+    const changes = item ? Object.keys(data).filter(key => data[key] !== (item[key] ?? null)) : Object.keys(data)
+    const action = errors.length > 0 ? 'reject' : !item ? 'create' : changes.length > 0 ? 'update' : 'unchanged'
+    const payload = item ? Object.fromEntries([['equipment_code', item.equipment_code], ...changes.map(key => [key, data[key]])]) : data
+    return { line: index + 2, action, errors, item, changes, payload: { ...payload, line: index + 2 } }
+  })
+}
+
 // ============================================
 // MAIN APP
 // ============================================
@@ -103,75 +531,470 @@ export default function App() {
 
   // Data state
   const [equipment, setEquipment] = useState([])
-  const [checkouts, setCheckouts] = useState([])
-  const [deficiencies, setDeficiencies] = useState([])
+  const [checkouts, setCheckouts] = useState([]) // open checkouts, plus all of the signed-in member's own
+  const [deficiencies, setDeficiencies] = useState([]) // open deficiencies, plus all the member reported
+  const [reservations, setReservations] = useState([])
+  const [categories, setCategories] = useState([])
+  const [usage, setUsage] = useState({})
+  const [historyPage, setHistoryPage] = useState({ rows: [], count: 0 })
+  const [deficiencyPage, setDeficiencyPage] = useState({ rows: [], count: 0 })
+  const [inventoryPage, setInventoryPage] = useState({ rows: [], count: 0 })
+  const [checkoutCount, setCheckoutCount] = useState(0)
+  const [analytics, setAnalytics] = useState(null) // equipment_analytics() result (or { error: true }), with the range it was run for
+  const [itemHistory, setItemHistory] = useState(null) // checkouts, deficiencies and service log of the item page's item
 
   // UI state
   const [activeTab, setActiveTab] = useState('checkout')
   const [searchTerm, setSearchTerm] = useState('')
   const [selectedCategory, setSelectedCategory] = useState('All')
-  const [selectedEquipment, setSelectedEquipment] = useState(null)
+  const [searchParams, setSearchParams] = useSearchParams()
+  const navigate = useNavigate()
+  const location = useLocation()
+  const itemRoute = useMatch('/equipment/:code') // item page, opened from a label's QR link or a list
+  const historyFilters = readUrlFilters(searchParams, 'history', DEFAULT_HISTORY_FILTERS)
+  const deficiencyFilters = readUrlFilters(searchParams, 'deficiencies', DEFAULT_DEFICIENCY_FILTERS)
+  const inventoryFilters = readUrlFilters(searchParams, 'inventory', DEFAULT_INVENTORY_FILTERS)
+  const setHistoryFilters = (filters) => setSearchParams(writeUrlFilters('history', filters, DEFAULT_HISTORY_FILTERS), { replace: true })
+  const setDeficiencyFilters = (filters) => setSearchParams(writeUrlFilters('deficiencies', filters, DEFAULT_DEFICIENCY_FILTERS), { replace: true })
+  const setInventoryFilters = (filters) => setSearchParams(writeUrlFilters('inventory', filters, DEFAULT_INVENTORY_FILTERS), { replace: true })
+  const analyticsRange = readUrlFilters(searchParams, 'analytics', defaultAnalyticsRange())
+  const setAnalyticsRange = (range) => setSearchParams(writeUrlFilters('analytics', range, defaultAnalyticsRange()), { replace: true })
+  const [cart, setCart] = useState([]) // equipment ids scanned for checkout/return
   const [showQRModal, setShowQRModal] = useState(false)
   const [qrEquipment, setQrEquipment] = useState(null)
+  const [maintenanceEquipment, setMaintenanceEquipment] = useState(null) // item whose service history modal is open
+  const [maintenanceHistory, setMaintenanceHistory] = useState([])
+  const [selectedDeficiencyId, setSelectedDeficiencyId] = useState(null)
+  const [deficiencyComments, setDeficiencyComments] = useState([])
+  const [deficiencyForm, setDeficiencyForm] = useState({ comment: '', resolutionNotes: '' })
+  const [reportForm, setReportForm] = useState(null) // standalone "Report a problem"
+  const [extensionRequests, setExtensionRequests] = useState([])
+  const [extensionForm, setExtensionForm] = useState(null) // { checkoutId, requestedReturn, reason }
+  const [checkoutRequests, setCheckoutRequests] = useState([])
+  const [checkoutSettings, setCheckoutSettings] = useState(null)
+  const [certifications, setCertifications] = useState([])
+  const [certificationForm, setCertificationForm] = useState(DEFAULT_CERTIFICATION_FORM)
   const [qrDataUrl, setQrDataUrl] = useState('')
   const [notification, setNotification] = useState(null)
+  const [kiosk] = useState(getKioskConfig)
+  const [kioskExit, setKioskExit] = useState(!!kiosk?.exitRequested) // chair sign-in to turn kiosk mode off
+  const [loginResetKey, setLoginResetKey] = useState(0) // bumped to clear a half-entered kiosk sign-in
+  const [online, setOnline] = useState(navigator.onLine)
+  const [offlineQueue, setOfflineQueue] = useState(loadQueue) // kiosk transactions waiting to sync
+  const [offlineConflicts, setOfflineConflicts] = useState([])
+  const [kioskDevices, setKioskDevices] = useState([])
+  const [kioskSetupLink, setKioskSetupLink] = useState(null) // shown once after registering a kiosk
 
   // Form state
   const [checkoutForm, setCheckoutForm] = useState({ useType: 'club', purpose: '', expectedReturn: '' })
-  const [returnForm, setReturnForm] = useState({ condition: 'good', deficiencyDesc: '', severity: 'minor' })
-  const [newEquipment, setNewEquipment] = useState({ name: '', category: 'Tools', location: '', notes: '' })
+  const [returnForms, setReturnForms] = useState({}) // keyed by equipment id
+  const [checkoutPhotos, setCheckoutPhotos] = useState({}) // "before" photos, keyed by equipment id
+  const [photos, setPhotos] = useState([])
+  const [newEquipment, setNewEquipment] = useState({ name: '', category: '', location: '', notes: '' })
+  const [categoryForm, setCategoryForm] = useState({ name: '', interval: '' })
+  const [workOrderForm, setWorkOrderForm] = useState(null)
+  const [editingEquipment, setEditingEquipment] = useState(null) // edit form for the equipment editor modal
+  const [reservationForm, setReservationForm] = useState({ equipmentId: '', startDate: '', endDate: '', purpose: '' })
+  const [pinForm, setPinForm] = useState({ memberNumber: '', pin: '' })
+  const [auditFilters, setAuditFilters] = useState({ equipmentId: '', actorId: '', from: '', to: '' })
+  const [auditLog, setAuditLog] = useState([])
+  const [members, setMembers] = useState([])
+  const [memberRoles, setMemberRoles] = useState([])
+  const [roleForm, setRoleForm] = useState({ userId: '', role: 'category-chair', category: '' })
+  const [openCheckouts, setOpenCheckouts] = useState([]) // every open checkout, without member names (eq_open_checkouts)
 
   const scanInputRef = useRef(null)
+  // Latest request per paged list; a slower, older response that arrives after a newer one is dropped
+  const pageRequests = useRef({ history: 0, deficiencies: 0, inventory: 0 })
+  const analyticsRequest = useRef(0)
 
   const overdueCheckouts = getOverdueCheckouts(checkouts)
-  const maintenanceDue = getMaintenanceDue(equipment)
+  const activeEquipment = equipment.filter(eq => !eq.retired_at)
+  const maintenanceDue = getMaintenanceDue(activeEquipment, categories, usage)
+  const categoryNames = categories.map(c => c.name)
 
   // Fetch all equipment data
   const fetchAllData = async () => {
-    await Promise.all([fetchEquipment(), fetchCheckouts(), fetchDeficiencies()])
+    await Promise.all([fetchCategories(), fetchEquipment(), fetchUsage(), fetchCheckouts(), fetchOpenCheckouts(), fetchDeficiencies(), fetchReservations(), fetchExtensionRequests(), fetchCheckoutRequests(), fetchCheckoutSettings(), fetchCertifications(), fetchMemberRoles(), fetchOfflineConflicts()])
+  }
+
+  // Kiosk: keep a local copy of what checkout needs and fall back to it when a fetch fails
+  const cached = (name, data, error) => {
+    if (!kiosk) return data
+    if (error) return loadCache(name, data)
+    saveCache(name, data)
+    return data
+  }
+
+  const fetchCategories = async () => {
+    const { data, error } = await supabase.from('eq_categories').select('*').order('sort_order').order('name')
+    setCategories(cached('categories', data, error) || [])
   }
 
   const fetchEquipment = async () => {
-    const { data } = await supabase.from('eq_equipment').select('*').order('equipment_code')
-    setEquipment(data || [])
+    const { data, error } = await supabase.from('eq_equipment').select('*').order('equipment_code')
+    setEquipment(applyQueueToEquipment(cached('equipment', data, error) || []))
+  }
+
+  const fetchUsage = async () => {
+    const { data } = await supabase.from('eq_equipment_usage').select('*')
+    setUsage(Object.fromEntries((data || []).map(u => [u.equipment_id, u])))
   }
 
+  // Called right after setUser, so the member comes from the session rather than state
+  const sessionUserId = async () => (await supabase.auth.getSession()).data.session?.user.id
+
+  // RLS returns the member's own checkouts; category chairs also see their categories, chairs see all.
+  // Only open ones and the member's own are kept here; the History tab pages through the rest.
   const fetchCheckouts = async () => {
-    const { data } = await supabase.from('eq_checkouts').select(`*, eq_equipment (equipment_code, name, category), users (first_name, last_name, employee_number)`).order('checkout_date', { ascending: false })
+    const userId = await sessionUserId()
+    let query = supabase.from('eq_checkouts').select(CHECKOUT_SELECT).order('checkout_date', { ascending: false })
+    query = userId ? query.or(`return_date.is.null,user_id.eq.${userId}`) : query.is('return_date', null)
+    const { data } = await query
     setCheckouts(data || [])
   }
 
+  const fetchCheckoutCount = async () => {
+    const { count } = await supabase.from('eq_checkouts').select('id', { count: 'exact', head: true })
+    setCheckoutCount(count || 0)
+  }
+
+  const fetchHistoryPage = async (filters) => {
+    const request = ++pageRequests.current.history
+    const { data, count, error } = await applyHistoryFilters(supabase.from('eq_checkouts').select(CHECKOUT_SELECT, { count: 'exact' }), filters).range(...pageRange(filters.page))
+    if (request !== pageRequests.current.history) return
+    if (error) console.error('History fetch error:', error)
+    setHistoryPage({ rows: data || [], count: count || 0, error: !!error, loaded: true })
+  }
+
+  const fetchDeficiencyPage = async (filters) => {
+    const request = ++pageRequests.current.deficiencies
+    const { data, count, error } = await applyDeficiencyFilters(supabase.from('eq_deficiency_list').select(DEFICIENCY_SELECT, { count: 'exact' }), filters, user.id).range(...pageRange(filters.page))
+    if (request !== pageRequests.current.deficiencies) return
+    if (error) console.error('Deficiency fetch error:', error)
+    setDeficiencyPage({ rows: data || [], count: count || 0, error: !!error, loaded: true })
+    fetchPhotos('deficiency_id', (data || []).map(d => d.id))
+  }
+
+  const fetchInventoryPage = async (filters) => {
+    const request = ++pageRequests.current.inventory
+    const { data, count, error } = await applyInventoryFilters(supabase.from('eq_equipment').select('*', { count: 'exact' }), filters).range(...pageRange(filters.page))
+    if (request !== pageRequests.current.inventory) return
+    if (error) console.error('Inventory fetch error:', error)
+    setInventoryPage({ rows: data || [], count: count || 0, error: !!error, loaded: true })
+  }
+
+  const fetchOpenCheckouts = async () => {
+    const { data, error } = await supabase.from('eq_open_checkouts').select('*')
+    setOpenCheckouts(applyQueueToOpenCheckouts(cached('openCheckouts', data, error) || []))
+  }
+
+  const fetchMemberRoles = async () => {
+    const { data } = await supabase.from('eq_member_roles').select(`*, users (first_name, last_name, employee_number)`).order('created_at')
+    setMemberRoles(data || [])
+  }
+
+  // Open deficiencies for the badges and alerts, plus the member's own reports; the Deficiencies tab pages through the rest
   const fetchDeficiencies = async () => {
-    const { data } = await supabase.from('eq_deficiencies').select(`*, eq_equipment (equipment_code, name), users!eq_deficiencies_reported_by_fkey (first_name, last_name)`).order('reported_date', { ascending: false })
+    const userId = await sessionUserId()
+    const open = `status.in.(${OPEN_DEFICIENCY_STATUSES.join(',')})`
+    const { data } = await supabase.from('eq_deficiency_list').select(DEFICIENCY_SELECT).or(userId ? `${open},reported_by.eq.${userId}` : open).order('reported_date', { ascending: false })
     setDeficiencies(data || [])
   }
 
+  // RLS returns only the member's own requests; chairs see everyone's, category chairs those for their gear
+  const fetchExtensionRequests = async () => {
+    const { data } = await supabase.from('eq_extension_requests').select(`*, eq_checkouts (equipment_id, expected_return, eq_equipment (equipment_code, name)), users!eq_extension_requests_user_id_fkey (first_name, last_name)`).order('created_at', { ascending: false })
+    setExtensionRequests(data || [])
+  }
+
+  // Same visibility as extension requests: own, plus the gear a chair or category chair manages
+  const fetchCheckoutRequests = async () => {
+    const { data } = await supabase.from('eq_checkout_requests').select(`*, eq_equipment (equipment_code, name, category), users!eq_checkout_requests_user_id_fkey (first_name, last_name, employee_number)`).order('created_at', { ascending: false })
+    setCheckoutRequests(data || [])
+  }
+
+  const fetchCheckoutSettings = async () => {
+    const { data, error } = await supabase.from('eq_checkout_settings').select('*').maybeSingle()
+    setCheckoutSettings(cached('checkoutSettings', data, error))
+  }
+
+  // RLS returns these to chairs only
+  const fetchOfflineConflicts = async () => {
+    const { data } = await supabase.from('eq_offline_ops').select(`*, users!eq_offline_ops_user_id_fkey (first_name, last_name, employee_number), eq_kiosk_devices (name)`).eq('status', 'conflict').is('resolved_at', null).order('queued_at')
+    setOfflineConflicts(data || [])
+  }
+
+  const fetchKioskDevices = async () => {
+    const { data } = await supabase.from('eq_kiosk_devices').select('*').is('revoked_at', null).order('created_at')
+    setKioskDevices(data || [])
+  }
+
+  // Members get their own certifications; chairs and category chairs also see the ones they manage
+  const fetchCertifications = async () => {
+    const { data } = await supabase.from('eq_certifications').select(`*, users!eq_certifications_user_id_fkey (first_name, last_name, employee_number), eq_equipment (equipment_code, name)`).order('expires_on', { ascending: true, nullsFirst: false })
+    setCertifications(data || [])
+  }
+
+  // Photos are loaded where they are shown: everything for one item (its page, editor, service log or a
+  // deficiency), or the deficiency list's current page. Rows for the given ids replace what was there.
+  const fetchPhotos = async (column, ids) => {
+    if (ids.length === 0) return
+    const { data, error } = await supabase.from('eq_photos').select('*').in(column, ids).order('created_at')
+    if (error) { console.error('Photo fetch error:', error); return }
+    setPhotos(prev => [...prev.filter(p => !ids.includes(p[column])), ...data])
+  }
+
+  const fetchReservations = async () => {
+    const { data, error } = await supabase.from('eq_reservation_calendar').select(`*, eq_equipment (equipment_code, name)`).eq('status', 'active').order('start_date')
+    setReservations(cached('reservations', data, error) || [])
+  }
+
+  const fetchMembers = async () => {
+    const { data } = await supabase.from('users').select('id, first_name, last_name, employee_number, role').order('last_name')
+    setMembers(data || [])
+  }
+
+  // RLS still applies: members get only their own checkouts of the item
+  const fetchItemHistory = async (equipmentId) => {
+    const [checkoutResult, deficiencyResult, maintenanceResult] = await Promise.all([
+      supabase.from('eq_checkouts').select(CHECKOUT_SELECT).eq('equipment_id', equipmentId).order('checkout_date', { ascending: false }),
+      supabase.from('eq_deficiency_list').select(DEFICIENCY_SELECT).eq('equipment_id', equipmentId).order('reported_date', { ascending: false }),
+      supabase.from('eq_maintenance_log').select(`*, users!eq_maintenance_log_performed_by_fkey (first_name, last_name)`).eq('equipment_id', equipmentId).order('performed_date', { ascending: false })
+    ])
+    // One part failing still shows the rest; failed lists which parts are missing
+    const results = { checkouts: checkoutResult, deficiencies: deficiencyResult, maintenance: maintenanceResult }
+    const failed = Object.keys(results).filter(part => results[part].error)
+    failed.forEach(part => console.error(`Item history fetch error (${part}):`, results[part].error))
+    fetchPhotos('equipment_id', [equipmentId])
+    setItemHistory({ equipmentId, checkouts: checkoutResult.data || [], deficiencies: deficiencyResult.data || [], maintenance: maintenanceResult.data || [], failed })
+  }
+
+  // Chairs get every category, category chairs their own (equipment_analytics checks)
+  const fetchAnalytics = async (range) => {
+    const request = ++analyticsRequest.current
+    const { data, error } = await supabase.rpc('equipment_analytics', { p_from: range.from, p_to: range.to })
+    if (request !== analyticsRequest.current) return
+    if (error) {
+      showNotification(getRpcErrorMessage(error, 'Error loading analytics'), 'error')
+      setAnalytics({ error: true, range })
+      return
+    }
+    setAnalytics({ ...data, range })
+  }
+
+  const fetchAuditLog = async (filters) => {
+    let query = supabase.from('eq_audit_log').select(`*, users (first_name, last_name, employee_number)`).order('changed_at', { ascending: false }).limit(AUDIT_PAGE_SIZE)
+    if (filters.equipmentId) query = query.eq('equipment_id', filters.equipmentId)
+    if (filters.actorId) query = query.eq('actor_id', filters.actorId)
+    // changed_at is a timestamp: compare with local midnight, not the UTC midnight a bare date means
+    if (filters.from) query = query.gte('changed_at', parseISO(filters.from).toISOString())
+    if (filters.to) query = query.lt('changed_at', addDays(parseISO(filters.to), 1).toISOString())
+    const { data } = await query
+    setAuditLog(data || [])
+  }
+
+  // Staff-only data, loaded when a chair or equipment-role holder signs in / opens the Admin tab
+  useEffect(() => {
+    if (user && (user.role === 'admin' || user.role === 'chair' || memberRoles.some(r => r.user_id === user.id))) fetchMembers()
+  }, [user, memberRoles])
+
+  useEffect(() => {
+    if (user && activeTab === 'admin') fetchAuditLog(auditFilters)
+  }, [user, activeTab, auditFilters])
+
+  useEffect(() => {
+    if (user && activeTab === 'admin' && (user.role === 'admin' || user.role === 'chair')) fetchKioskDevices()
+  }, [user, activeTab])
+
+  useEffect(() => {
+    if (user && activeTab === 'admin') fetchCheckoutCount()
+  }, [user, activeTab, checkouts])
+
+  // Reloads with the lists: the user's own actions and live updates both change the data in state
+  const detailItem = itemRoute ? equipment.find(eq => eq.equipment_code.toLowerCase() === itemRoute.params.code.toLowerCase()) : null
+  useEffect(() => {
+    if (user && !user.offline && detailItem) fetchItemHistory(detailItem.id)
+  }, [user, detailItem?.id, checkouts, deficiencies, equipment])
+
+  useEffect(() => {
+    if (user && activeTab === 'analytics' && analyticsRange.from && analyticsRange.to && analyticsRange.from <= analyticsRange.to) fetchAnalytics(analyticsRange)
+  }, [user, activeTab, analyticsRange.from, analyticsRange.to])
+
+  // The paged lists reload when their filters change (typing is debounced) and whenever the matching data in
+  // state changes, which covers the user's own actions and live updates from other sessions
+  useEffect(() => {
+    if (!user || user.offline) return
+    const timer = setTimeout(() => {
+      if (activeTab === 'history') fetchHistoryPage(historyFilters)
+      if (activeTab === 'deficiencies') fetchDeficiencyPage(deficiencyFilters)
+      if (activeTab === 'inventory') fetchInventoryPage(inventoryFilters)
+    }, 250)
+    return () => clearTimeout(timer)
+  }, [user, activeTab, searchParams, checkouts, deficiencies, equipment])
+
   useEffect(() => {
     if (user && activeTab === 'checkout' && scanInputRef.current) scanInputRef.current.focus()
   }, [user, activeTab])
 
+  // Kiosk: sign out after the configured idle period, or clear a sign-in someone walked away from
+  useEffect(() => {
+    if (!kiosk) return
+    let timer
+    const resetTimer = () => {
+      clearTimeout(timer)
+      timer = setTimeout(() => {
+        if (user) {
+          handleLogout()
+          showNotification('Signed out after inactivity', 'warning')
+        } else {
+          setKioskExit(false)
+          setAuthError('')
+          setLoginResetKey(key => key + 1)
+        }
+      }, kiosk.idleSeconds * 1000)
+    }
+    const events = ['mousedown', 'mousemove', 'keydown', 'touchstart', 'scroll']
+    events.forEach(e => window.addEventListener(e, resetTimer))
+    resetTimer()
+    return () => {
+      clearTimeout(timer)
+      events.forEach(e => window.removeEventListener(e, resetTimer))
+    }
+  }, [kiosk, user])
+
+  // Kiosk: track the connection and replay queued transactions when it comes back (retrying every minute)
+  useEffect(() => {
+    if (!kiosk) return
+    const goOnline = () => { setOnline(true); syncOfflineQueue() }
+    const goOffline = () => setOnline(false)
+    window.addEventListener('online', goOnline)
+    window.addEventListener('offline', goOffline)
+    const timer = setInterval(syncOfflineQueue, OFFLINE_SYNC_INTERVAL_MS)
+    syncOfflineQueue()
+    return () => {
+      window.removeEventListener('online', goOnline)
+      window.removeEventListener('offline', goOffline)
+      clearInterval(timer)
+    }
+  }, [kiosk])
+
+  const syncOfflineQueue = async () => {
+    if (loadQueue().length === 0) return
+    try {
+      const results = await syncQueue()
+      setOfflineQueue(loadQueue())
+      if (results.length === 0) return
+      const conflicts = results.filter(r => r.status === 'conflict').length
+      const what = `${results.length} offline transaction${results.length === 1 ? '' : 's'}`
+      if (conflicts > 0) showNotification(`Synced ${what}. ${conflicts} could not be applied and ${conflicts === 1 ? 'was' : 'were'} sent to a chair.`, 'warning')
+      else showNotification(`Synced ${what}`)
+      fetchEquipment()
+      fetchOpenCheckouts()
+    } catch (error) {
+      if (!isNetworkError(error)) console.error('Offline sync error:', error)
+    }
+  }
+
+  // Kiosk without a connection: record the transaction locally for syncOfflineQueue; false if this kiosk can't
+  const queueOffline = (kind, payload) => {
+    if (!kiosk || !getDeviceKey()) return false
+    const op = enqueue(kind, user.id, payload)
+    setOfflineQueue(loadQueue())
+    setEquipment(prev => applyQueueToEquipment(prev, [op]))
+    setOpenCheckouts(prev => applyQueueToOpenCheckouts(prev, [op]))
+    return true
+  }
+
+  // Live updates: other sessions' changes (a second kiosk, a chair's phone) are merged in row by row.
+  // Realtime applies the same RLS as a select, so each session only hears about rows it could fetch.
+  useEffect(() => {
+    if (!user || user.offline) return
+    let subscribedOnce = false
+    const channel = supabase.channel('eq-live')
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'eq_equipment' }, mergeEquipmentChange)
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'eq_checkouts' }, mergeCheckoutChange)
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'eq_deficiencies' }, mergeDeficiencyChange)
+      .subscribe(status => {
+        if (status !== 'SUBSCRIBED') return
+        // Changes made while the channel was down are not replayed, so catch up after a reconnect
+        if (subscribedOnce) Promise.all([fetchEquipment(), fetchCheckouts(), fetchOpenCheckouts(), fetchDeficiencies()])
+        subscribedOnce = true
+      })
+    return () => { supabase.removeChannel(channel) }
+  }, [user?.id, user?.offline])
+
+  const mergeEquipmentChange = ({ eventType, new: row, old }) => {
+    if (eventType === 'DELETE') {
+      setEquipment(prev => prev.filter(eq => eq.id !== old.id))
+      return
+    }
+    setEquipment(prev => applyQueueToEquipment(mergeRow(prev, row, byEquipmentCode)))
+    if (kiosk) saveCache('equipment', mergeRow(loadCache('equipment', []), row, byEquipmentCode))
+    // Members only hear about their own checkouts, so a status flip is the cue that someone else's started or ended
+    if (eventType === 'UPDATE' && (row.status === 'checked-out' || row.status === 'available')) fetchOpenCheckouts()
+    // Likewise for other people's deficiencies: a major one puts the item in needs-repair
+    if (eventType === 'UPDATE' && row.status === 'needs-repair') fetchDeficiencies()
+  }
+
+  const mergeCheckoutChange = async ({ eventType, new: row, old }) => {
+    if (eventType === 'DELETE') {
+      setCheckouts(prev => prev.filter(c => c.id !== old.id))
+      setOpenCheckouts(prev => prev.filter(c => c.id !== old.id))
+      return
+    }
+    const { data } = await supabase.from('eq_checkouts').select(CHECKOUT_SELECT).eq('id', row.id).maybeSingle()
+    if (data) setCheckouts(prev => !data.return_date || data.user_id === user.id ? mergeRow(prev, data, newestFirst('checkout_date')) : prev.filter(c => c.id !== data.id))
+    setOpenCheckouts(prev => row.return_date
+      ? prev.filter(c => c.id !== row.id)
+      : [...prev.filter(c => c.id !== row.id && c.equipment_id !== row.equipment_id), { id: row.id, equipment_id: row.equipment_id, checkout_date: row.checkout_date, expected_return: row.expected_return }])
+    if (row.return_date) fetchUsage()
+  }
+
+  const mergeDeficiencyChange = async ({ eventType, new: row, old }) => {
+    if (eventType === 'DELETE') {
+      setDeficiencies(prev => prev.filter(d => d.id !== old.id))
+      return
+    }
+    const { data } = await supabase.from('eq_deficiency_list').select(DEFICIENCY_SELECT).eq('id', row.id).maybeSingle()
+    if (data) setDeficiencies(prev => isOpenDeficiency(data) || data.reported_by === user.id ? mergeRow(prev, data, newestFirst('reported_date')) : prev.filter(d => d.id !== data.id))
+  }
+
   const showNotification = (message, type = 'success') => {
     setNotification({ message, type })
     setTimeout(() => setNotification(null), 4000)
   }
 
-  // Member login - just enter member number
-  const handleMemberLogin = async (memberNumber) => {
+  // Member login - member number + PIN, verified by the member-login edge function
+  const handleMemberLogin = async (memberNumber, pin) => {
     setAuthError('')
     setLoading(true)
     try {
-      const { data, error } = await supabase
+      const { data, error } = await supabase.functions.invoke('member-login', { body: { memberNumber, pin } })
+      if (error && kiosk && getDeviceKey() && isNetworkError(error)) {
+        await handleOfflineLogin(memberNumber, pin)
+        return
+      }
+      if (error) {
+        const body = await error.context?.json?.().catch(() => null)
+        throw new Error(body?.error || 'Login failed')
+      }
+
+      // Exchange the one-time token for a real Supabase session
+      const { data: session, error: otpError } = await supabase.auth.verifyOtp({ token_hash: data.token_hash, type: 'magiclink' })
+      if (otpError) throw new Error('Login failed')
+
+      const { data: profile, error: profileError } = await supabase
         .from('users')
         .select('*')
-        .eq('employee_number', parseInt(memberNumber))
+        .eq('id', session.user.id)
         .single()
-      
-      if (error || !data) {
-        throw new Error('Member number not found')
-      }
-      
-      setUser(data)
+
+      if (profileError || !profile) throw new Error('User profile not found')
+
+      setUser(profile)
       fetchAllData()
+      if (kiosk && getDeviceKey()) rememberMember(memberNumber, pin, profile).catch(error => console.error('Could not save offline sign-in:', error))
     } catch (error) {
       setAuthError(error.message)
     } finally {
@@ -179,7 +1002,34 @@ export default function App() {
     }
   }
 
+  // Kiosk without a connection: members who signed in here recently are checked against the PIN hash saved then.
+  // There is no Supabase session; what they do is queued and replayed with the kiosk's device key.
+  const handleOfflineLogin = async (memberNumber, pin) => {
+    const profile = await verifyOfflineMember(memberNumber, pin)
+    setOnline(false)
+    setUser({ ...profile, offline: true })
+    fetchAllData()
+  }
+
   // Chair/Admin login - email/password via Supabase Auth
+  // Turning kiosk mode off takes a chair or admin; then the tablet reloads to the normal login screen
+  const handleKioskExit = async (email, password) => {
+    setAuthError('')
+    setLoading(true)
+    try {
+      const { data, error } = await supabase.auth.signInWithPassword({ email, password })
+      if (error) throw error
+      const { data: profile } = await supabase.from('users').select('role').eq('id', data.user.id).single()
+      await supabase.auth.signOut()
+      if (profile?.role !== 'admin' && profile?.role !== 'chair') throw new Error('Only a chair or admin can turn off kiosk mode.')
+      localStorage.removeItem(KIOSK_STORAGE_KEY)
+      window.location.replace('/')
+    } catch (error) {
+      setAuthError(error.message)
+      setLoading(false)
+    }
+  }
+
   const handleChairLogin = async (email, password) => {
     setAuthError('')
     setLoading(true)
@@ -212,101 +1062,812 @@ export default function App() {
   // Handle logout
   const handleLogout = async () => {
     await supabase.auth.signOut()
+    forgetOfflineToken()
     setUser(null)
+    setActiveTab('checkout')
+    setItemHistory(null)
+    setPhotos([])
+    setCart([])
+    setSearchTerm('')
+    setCheckoutForm({ useType: 'club', purpose: '', expectedReturn: '' })
+    setReturnForms({})
+    setCheckoutPhotos({})
+    setSelectedDeficiencyId(null)
+    // The next member at a kiosk shouldn't inherit the item page or the list filters
+    navigate({ pathname: '/', search: clearUrlFilters().toString() }, { replace: true })
+    setReportForm(null)
+    setExtensionForm(null)
+    setRoleForm({ userId: '', role: 'category-chair', category: '' })
+    setCertificationForm(DEFAULT_CERTIFICATION_FORM)
   }
 
   const handleScanSearch = (value) => {
     setSearchTerm(value)
-    const exactMatch = equipment.find(eq => eq.equipment_code.toLowerCase() === value.toLowerCase())
-    if (exactMatch) { setSelectedEquipment(exactMatch); setSearchTerm('') }
+    const code = parseEquipmentScan(value).toLowerCase()
+    const exactMatch = equipment.find(eq => eq.equipment_code.toLowerCase() === code)
+    if (exactMatch) { addToCart(exactMatch); setSearchTerm('') }
   }
 
-  const filteredEquipment = equipment.filter(eq => {
+  const addToCart = (eq) => {
+    if (eq.status !== 'available' && eq.status !== 'checked-out') {
+      showNotification(`${eq.name} is ${eq.status.replace(/-/g, ' ')} and cannot be checked out`, 'error')
+      return
+    }
+    setCart(prev => prev.includes(eq.id) ? prev : [...prev, eq.id])
+  }
+
+  const removeFromCart = (equipmentId) => {
+    setCart(prev => prev.filter(id => id !== equipmentId))
+    setReturnForms(prev => { const next = { ...prev }; delete next[equipmentId]; return next })
+    setCheckoutPhotos(prev => { const next = { ...prev }; delete next[equipmentId]; return next })
+  }
+
+  const toggleCartItem = (eq) => {
+    if (cart.includes(eq.id)) removeFromCart(eq.id)
+    else addToCart(eq)
+  }
+
+  const cartItems = cart.map(id => equipment.find(eq => eq.id === id)).filter(Boolean)
+  const checkoutCart = cartItems.filter(eq => eq.status === 'available')
+  const returnCart = cartItems.filter(eq => eq.status === 'checked-out')
+
+  // Checkout works on the full list in state (it has to keep working offline); Inventory is queried page by page
+  const filteredEquipment = activeEquipment.filter(eq => {
     const matchesSearch = eq.name.toLowerCase().includes(searchTerm.toLowerCase()) || eq.equipment_code.toLowerCase().includes(searchTerm.toLowerCase())
     const matchesCategory = selectedCategory === 'All' || eq.category === selectedCategory
     return matchesSearch && matchesCategory
   })
 
+  // Checks out every available item in the cart in one locked transaction (checkout_equipment)
   const handleCheckout = async () => {
-    if (!selectedEquipment || selectedEquipment.status !== 'available') return
-    try {
-      const { error } = await supabase.from('eq_checkouts').insert({ equipment_id: selectedEquipment.id, user_id: user.id, expected_return: checkoutForm.expectedReturn || null, use_type: checkoutForm.useType, purpose: checkoutForm.purpose })
-      if (error) throw error
-      showNotification(`${selectedEquipment.name} checked out successfully`)
-      setSelectedEquipment(null)
+    if (checkoutCart.length === 0) return
+    const blocked = checkoutCart.find(eq => getBlockingReservation(eq.id, user.id, checkoutForm.expectedReturn, reservations))
+    if (blocked) {
+      const blocking = getBlockingReservation(blocked.id, user.id, checkoutForm.expectedReturn, reservations)
+      showNotification(`${blocked.name} is reserved from ${blocking.start_date} by another member`, 'error')
+      return
+    }
+    // Offline the member's certifications aren't known; sync_kiosk_queue() still enforces them
+    const uncertified = !user.offline && checkoutCart.find(eq => requiresCertification(eq, categories) && !findCertification(user.id, eq, certifications))
+    if (uncertified) { showNotification(getRpcErrorMessage({ message: 'CERTIFICATION_REQUIRED', details: uncertified.name }), 'error'); return }
+    // Flagged items go to the approval queue; the rest are checked out right away
+    const needsApproval = checkoutCart.filter(eq => !canManageItem(eq) && getApprovalReason(eq, categories, checkoutForm.useType, checkoutSettings))
+    const immediate = checkoutCart.filter(eq => !needsApproval.includes(eq))
+    const args = { p_use_type: checkoutForm.useType, p_purpose: checkoutForm.purpose, p_expected_return: checkoutForm.expectedReturn || null }
+    const what = (items) => items.length === 1 ? items[0].name : `${items.length} items`
+    const finishCheckout = () => {
+      setCart(prev => prev.filter(id => !checkoutCart.some(eq => eq.id === id)))
       setCheckoutForm({ useType: 'club', purpose: '', expectedReturn: '' })
-      fetchAllData()
+      setCheckoutPhotos({})
+      if (kiosk) handleLogout()
+      else fetchAllData()
+    }
+    const checkoutOffline = () => {
+      if (!queueOffline('checkout', { equipment_ids: immediate.map(eq => eq.id), request_ids: needsApproval.map(eq => eq.id), use_type: args.p_use_type, purpose: args.p_purpose, expected_return: args.p_expected_return })) return false
+      const photosDropped = Object.values(checkoutPhotos).some(files => files.length > 0)
+      showNotification(`Offline: ${what(checkoutCart)} recorded and will sync when the connection is back.${needsApproval.length > 0 ? ` ${what(needsApproval)} will go to a chair for approval then.` : ''}${photosDropped ? " Photos can't be saved offline." : ''}`, 'warning')
+      finishCheckout()
+      return true
+    }
+    if (user.offline && checkoutOffline()) return
+    let checkedOut = []
+    try {
+      if (immediate.length > 0) {
+        const { data, error } = await supabase.rpc('checkout_equipment', { p_equipment_ids: immediate.map(eq => eq.id), ...args })
+        if (error) throw error
+        checkedOut = immediate
+        for (const checkout of data || []) {
+          await attachPhotos(checkoutPhotos[checkout.equipment_id] || [], { equipment_id: checkout.equipment_id, checkout_id: checkout.id, kind: 'checkout-before' })
+        }
+      }
+      if (needsApproval.length > 0) {
+        const { error } = await supabase.rpc('request_checkout', { p_equipment_ids: needsApproval.map(eq => eq.id), ...args })
+        if (error) throw error
+      }
+      if (needsApproval.length === 0) showNotification(`${what(immediate)} checked out successfully`)
+      else showNotification(`${immediate.length > 0 ? `${what(immediate)} checked out. ` : ''}${what(needsApproval)} sent to a chair for approval. You'll be notified when it's decided.`, 'warning')
+      finishCheckout()
     } catch (error) {
+      if (checkedOut.length === 0 && isNetworkError(error) && checkoutOffline()) return
       console.error('Checkout error:', error)
-      showNotification('Error checking out equipment', 'error')
+      if (checkedOut.length > 0) setCart(prev => prev.filter(id => !checkedOut.some(eq => eq.id === id)))
+      const message = getRpcErrorMessage(error, error.code === '23505' ? 'You already have a pending request for one of these items' : 'Error checking out equipment')
+      showNotification(checkedOut.length > 0 ? `${checkedOut.length === 1 ? checkedOut[0].name : `${checkedOut.length} items`} checked out, but the approval request failed: ${message}` : message, 'error')
+      fetchAllData()
     }
   }
 
+  // Returns every checked-out item in the cart in one locked transaction (return_equipment)
   const handleReturn = async () => {
-    if (!selectedEquipment) return
-    const activeCheckout = checkouts.find(c => c.equipment_id === selectedEquipment.id && !c.return_date)
-    if (!activeCheckout) return
-    try {
-      await supabase.from('eq_checkouts').update({ return_date: new Date().toISOString(), return_condition: returnForm.condition === 'good' ? 'good' : 'deficiency' }).eq('id', activeCheckout.id)
-      if (returnForm.condition === 'deficiency' && returnForm.deficiencyDesc) {
-        await supabase.from('eq_deficiencies').insert({ equipment_id: selectedEquipment.id, checkout_id: activeCheckout.id, reported_by: user.id, description: returnForm.deficiencyDesc, severity: returnForm.severity })
-        showNotification(`${selectedEquipment.name} returned with deficiency reported`, 'warning')
-      } else {
-        showNotification(`${selectedEquipment.name} returned successfully`)
-      }
-      setSelectedEquipment(null)
-      setReturnForm({ condition: 'good', deficiencyDesc: '', severity: 'minor' })
-      fetchAllData()
+    if (returnCart.length === 0) return
+    const returns = []
+    for (const eq of returnCart) {
+      const activeCheckout = checkouts.find(c => c.equipment_id === eq.id && !c.return_date) || openCheckouts.find(c => c.equipment_id === eq.id)
+      if (!activeCheckout) { showNotification(`No open checkout found for ${eq.name}`, 'error'); return }
+      const form = returnForms[eq.id] || DEFAULT_RETURN_FORM
+      if (form.condition === 'deficiency' && !form.deficiencyDesc.trim()) { showNotification(`Describe the issue with ${eq.name}`, 'error'); return }
+      if (eq.service_every_hours && form.hourMeter === '') { showNotification(`Enter the hour-meter reading for ${eq.name}`, 'error'); return }
+      if (form.hourMeter !== '' && parseFloat(form.hourMeter) < (eq.hour_meter || 0)) { showNotification(`The hour-meter reading for ${eq.name} is lower than its last reading (${eq.hour_meter})`, 'error'); return }
+      returns.push({ equipment_id: eq.id, checkout_id: activeCheckout.id, condition: form.condition, description: form.condition === 'deficiency' ? form.deficiencyDesc.trim() : null, severity: form.severity, hour_meter: form.hourMeter === '' ? null : parseFloat(form.hourMeter) })
+    }
+    const what = returnCart.length === 1 ? returnCart[0].name : `${returnCart.length} items`
+    const finishReturn = () => {
+      setCart(prev => prev.filter(id => !returnCart.some(eq => eq.id === id)))
+      setReturnForms({})
+      if (kiosk) handleLogout()
+      else fetchAllData()
+    }
+    const returnOffline = () => {
+      if (!queueOffline('return', { returns })) return false
+      const photosDropped = returnCart.some(eq => (returnForms[eq.id]?.photos || []).length > 0)
+      showNotification(`Offline: ${what} recorded as returned and will sync when the connection is back.${photosDropped ? " Photos can't be saved offline." : ''}`, 'warning')
+      finishReturn()
+      return true
+    }
+    // Items checked out offline have no checkout id until the queue syncs, so their return has to queue behind it
+    if ((user.offline || returns.some(r => !r.checkout_id)) && returnOffline()) return
+    try {
+      const { error } = await supabase.rpc('return_equipment', { p_returns: returns })
+      if (error) throw error
+      const withDeficiency = returns.filter(r => r.condition === 'deficiency').length
+      if (withDeficiency > 0) showNotification(`${what} returned with ${withDeficiency === 1 ? 'deficiency' : `${withDeficiency} deficiencies`} reported`, 'warning')
+      else showNotification(`${what} returned successfully`)
+      await attachReturnPhotos(returns)
+      finishReturn()
     } catch (error) {
-      showNotification('Error returning equipment', 'error')
+      if (isNetworkError(error) && returnOffline()) return
+      console.error('Return error:', error)
+      showNotification(getRpcErrorMessage(error, 'Error returning equipment'), 'error')
+      fetchAllData()
     }
   }
 
-  const handleAddEquipment = async () => {
-    if (!newEquipment.name) return
+  const openReportProblem = (equipmentId = '') => setReportForm({ equipmentId, description: '', severity: 'minor', photos: [] })
+
+  // A problem noticed outside a checkout: no checkout_id; major reports mark the item needs-repair via on_deficiency_change
+  const handleReportProblem = async () => {
+    const eq = equipment.find(e => e.id === reportForm.equipmentId)
+    if (!eq) { showNotification('Choose the item with the problem', 'error'); return }
+    if (!reportForm.description.trim()) { showNotification('Describe the problem', 'error'); return }
+    const reportOffline = () => {
+      if (!queueOffline('report', { equipment_id: eq.id, description: reportForm.description.trim(), severity: reportForm.severity })) return false
+      showNotification(`Offline: problem with ${eq.name} recorded and will sync when the connection is back.${reportForm.photos.length > 0 ? " Photos can't be saved offline." : ''}`, 'warning')
+      setReportForm(null)
+      return true
+    }
+    if (user.offline && reportOffline()) return
     try {
-      const { data: codeData } = await supabase.rpc('generate_equipment_code')
-      const equipmentCode = codeData || `EQ${String(equipment.length + 1).padStart(3, '0')}`
-      await supabase.from('eq_equipment').insert({ equipment_code: equipmentCode, name: newEquipment.name, category: newEquipment.category, location: newEquipment.location, notes: newEquipment.notes, status: 'available' })
-      showNotification(`${newEquipment.name} added to inventory`)
-      setNewEquipment({ name: '', category: 'Tools', location: '', notes: '' })
+      const { data, error } = await supabase.from('eq_deficiencies').insert({ equipment_id: eq.id, checkout_id: null, reported_by: user.id, description: reportForm.description.trim(), severity: reportForm.severity }).select().single()
+      if (error) throw error
+      await attachPhotos(reportForm.photos, { equipment_id: eq.id, deficiency_id: data.id, kind: 'deficiency' })
+      showNotification(reportForm.severity === 'major' ? `Problem reported. ${eq.name} is marked as needing repair.` : `Problem with ${eq.name} reported. Thank you!`, reportForm.severity === 'major' ? 'warning' : 'success')
+      setReportForm(null)
+      fetchDeficiencies()
       fetchEquipment()
     } catch (error) {
-      showNotification('Error adding equipment', 'error')
+      if (isNetworkError(error) && reportOffline()) return
+      console.error('Report error:', error)
+      showNotification('Error reporting problem', 'error')
     }
   }
 
-  const handleUpdateMaintenance = async (equipmentId) => {
-    try {
-      await supabase.from('eq_equipment').update({ last_maintenance: new Date().toISOString().split('T')[0], updated_at: new Date().toISOString() }).eq('id', equipmentId)
-      showNotification('Maintenance date updated')
-      fetchEquipment()
-    } catch (error) {
-      showNotification('Error updating maintenance', 'error')
+  // "After" photos go on the checkout; when a deficiency was reported they are linked to it as well
+  const attachReturnPhotos = async (returns) => {
+    const withPhotos = returns.filter(r => (returnForms[r.equipment_id]?.photos || []).length > 0)
+    if (withPhotos.length === 0) return
+    const { data: reported } = await supabase.from('eq_deficiencies').select('id, checkout_id').in('checkout_id', withPhotos.filter(r => r.condition === 'deficiency').map(r => r.checkout_id))
+    for (const r of withPhotos) {
+      const deficiency = (reported || []).find(d => d.checkout_id === r.checkout_id)
+      await attachPhotos(returnForms[r.equipment_id].photos, { equipment_id: r.equipment_id, checkout_id: r.checkout_id, deficiency_id: deficiency?.id || null, kind: deficiency ? 'deficiency' : 'checkout-after' })
     }
   }
 
-  const showQR = async (eq) => {
-    setQrEquipment(eq)
+  // Resizes and uploads each file, then records it in eq_photos; returns false if any upload failed
+  const attachPhotos = async (files, link) => {
+    let ok = true
+    for (const file of files) {
+      try {
+        const stored = await uploadPhoto(file, link.equipment_id)
+        const { error } = await supabase.from('eq_photos').insert({ ...link, ...stored, uploaded_by: user.id })
+        if (error) {
+          photoStorage.remove([stored.storage_path, stored.thumb_path]).catch(() => {})
+          throw error
+        }
+      } catch (error) {
+        console.error('Photo upload error:', error)
+        ok = false
+      }
+    }
+    if (!ok) showNotification('Some photos could not be uploaded', 'warning')
+    if (files.length > 0) fetchPhotos('equipment_id', [link.equipment_id])
+    return ok
+  }
+
+  const handleRemovePhoto = async (photo) => {
+    if (!window.confirm('Remove this photo?')) return
     try {
-      const url = await QRCode.toDataURL(eq.equipment_code, { width: 200, margin: 2, color: { dark: '#1e3a5f', light: '#ffffff' } })
-      setQrDataUrl(url)
-      setShowQRModal(true)
-    } catch (error) { console.error('QR error:', error) }
+      const { error } = await supabase.from('eq_photos').delete().eq('id', photo.id)
+      if (error) throw error
+      photoStorage.remove([photo.storage_path, photo.thumb_path]).catch(() => {})
+      fetchPhotos('equipment_id', [photo.equipment_id])
+    } catch (error) {
+      showNotification('Error removing photo', 'error')
+    }
   }
 
-  const resolveDeficiency = async (defId) => {
+  const handleCreateReservation = async () => {
+    const { equipmentId, startDate, endDate, purpose } = reservationForm
+    if (!equipmentId || !startDate || !endDate) return
+    if (endDate < startDate) {
+      showNotification('End date must be on or after the start date', 'error')
+      return
+    }
+    if (getReservationConflicts(equipmentId, startDate, endDate, reservations, openCheckouts).length > 0) {
+      showNotification('Those dates conflict with an existing reservation or checkout', 'error')
+      return
+    }
     try {
-      await supabase.from('eq_deficiencies').update({ status: 'resolved', resolved_by: user.id, resolved_date: new Date().toISOString().split('T')[0], resolution_notes: 'Resolved' }).eq('id', defId)
-      showNotification('Deficiency marked as resolved')
-      fetchAllData()
+      const { error } = await supabase.from('eq_reservations').insert({ equipment_id: equipmentId, user_id: user.id, start_date: startDate, end_date: endDate, purpose })
+      if (error) throw error
+      showNotification('Reservation confirmed')
+      setReservationForm({ equipmentId, startDate: '', endDate: '', purpose: '' })
+      fetchReservations()
     } catch (error) {
-      showNotification('Error resolving deficiency', 'error')
+      console.error('Reservation error:', error)
+      showNotification('Error creating reservation', 'error')
     }
   }
 
-  const exportEquipmentList = () => {
-    exportToCSV(equipment, 'equipment_inventory', [
+  const handleCancelReservation = async (reservationId) => {
+    try {
+      const { error } = await supabase.from('eq_reservations').update({ status: 'cancelled' }).eq('id', reservationId)
+      if (error) throw error
+      showNotification('Reservation cancelled')
+      fetchReservations()
+    } catch (error) {
+      showNotification('Error cancelling reservation', 'error')
+    }
+  }
+
+  const handleRequestExtension = async () => {
+    const { checkoutId, requestedReturn, reason } = extensionForm
+    const checkout = checkouts.find(c => c.id === checkoutId)
+    if (!checkout || !requestedReturn) return
+    if (checkout.expected_return && requestedReturn <= checkout.expected_return) { showNotification('Choose a date after the current due date', 'error'); return }
+    if (getBlockingReservation(checkout.equipment_id, user.id, requestedReturn, reservations)) { showNotification(`${checkout.eq_equipment?.name} is reserved by another member before that date`, 'error'); return }
+    try {
+      const { error } = await supabase.from('eq_extension_requests').insert({ checkout_id: checkoutId, user_id: user.id, requested_return: requestedReturn, reason: reason.trim() || null })
+      if (error) throw error
+      showNotification('Extension requested. A chair will review it.')
+      setExtensionForm(null)
+      fetchExtensionRequests()
+    } catch (error) {
+      showNotification(error.code === '23505' ? 'You already have a pending request for this item' : 'Error requesting extension', 'error')
+    }
+  }
+
+  const handleWithdrawExtension = async (requestId) => {
+    try {
+      const { error } = await supabase.from('eq_extension_requests').delete().eq('id', requestId)
+      if (error) throw error
+      showNotification('Extension request withdrawn')
+      fetchExtensionRequests()
+    } catch (error) {
+      showNotification('Error withdrawing request', 'error')
+    }
+  }
+
+  const handleDecideExtension = async (request, approve) => {
+    const note = approve ? '' : window.prompt('Reason for denying (optional, shown to the member):')
+    if (note === null) return
+    try {
+      const { error } = await supabase.rpc('decide_extension_request', { p_request_id: request.id, p_approve: approve, p_note: note })
+      if (error) throw error
+      const name = request.eq_checkouts?.eq_equipment?.name || 'Item'
+      showNotification(approve ? `${name} extended to ${request.requested_return}` : `Extension for ${name} denied`)
+    } catch (error) {
+      showNotification(getRpcErrorMessage(error, 'Error deciding extension request'), 'error')
+    }
+    fetchExtensionRequests()
+    fetchCheckouts()
+    fetchOpenCheckouts()
+  }
+
+  const handleWithdrawCheckoutRequest = async (requestId) => {
+    try {
+      const { error } = await supabase.from('eq_checkout_requests').delete().eq('id', requestId)
+      if (error) throw error
+      showNotification('Checkout request withdrawn')
+      fetchCheckoutRequests()
+    } catch (error) {
+      showNotification('Error withdrawing request', 'error')
+    }
+  }
+
+  // Approving checks the item out in the member's name (decide_checkout_request)
+  const handleDecideCheckoutRequest = async (request, approve) => {
+    const note = window.prompt(approve ? 'Note for the member (optional):' : 'Reason for denying (optional, shown to the member):')
+    if (note === null) return
+    try {
+      const { error } = await supabase.rpc('decide_checkout_request', { p_request_id: request.id, p_approve: approve, p_note: note })
+      if (error) throw error
+      const name = request.eq_equipment?.name || 'Item'
+      showNotification(approve ? `${name} checked out to ${request.users?.first_name} ${request.users?.last_name}` : `Request for ${name} denied`)
+    } catch (error) {
+      showNotification(getRpcErrorMessage(error, 'Error deciding checkout request'), 'error')
+    }
+    fetchCheckoutRequests()
+    fetchEquipment()
+    fetchCheckouts()
+    fetchOpenCheckouts()
+  }
+
+  const handleResolveOfflineConflict = async (op) => {
+    const note = window.prompt('How was this sorted out? (optional)')
+    if (note === null) return
+    try {
+      const { error } = await supabase.from('eq_offline_ops').update({ resolved_by: user.id, resolved_at: new Date().toISOString(), resolution_note: note || null }).eq('id', op.id)
+      if (error) throw error
+      showNotification('Offline conflict marked resolved')
+      fetchOfflineConflicts()
+    } catch (error) {
+      showNotification('Error resolving conflict', 'error')
+    }
+  }
+
+  const handleRegisterKiosk = async (name) => {
+    try {
+      const { data, error } = await supabase.rpc('register_kiosk_device', { p_name: name })
+      if (error) throw error
+      setKioskSetupLink(`${window.location.origin}/?kiosk=on&device=${data}`)
+      fetchKioskDevices()
+    } catch (error) {
+      showNotification(getRpcErrorMessage(error, 'Error registering kiosk'), 'error')
+    }
+  }
+
+  const handleRevokeKiosk = async (device) => {
+    if (!window.confirm(`Revoke ${device.name}? Anything it still has queued will no longer sync.`)) return
+    try {
+      const { error } = await supabase.from('eq_kiosk_devices').update({ revoked_at: new Date().toISOString() }).eq('id', device.id)
+      if (error) throw error
+      showNotification(`${device.name} revoked`)
+      fetchKioskDevices()
+    } catch (error) {
+      showNotification('Error revoking kiosk', 'error')
+    }
+  }
+
+  const handleAddCertification = async () => {
+    const { userId, target, certifiedOn, expiresOn, notes } = certificationForm
+    if (!userId || !target) return
+    if (expiresOn && certifiedOn && expiresOn < certifiedOn) { showNotification('Expiry must be after the training date', 'error'); return }
+    const [kind, value] = target.split(':')
+    try {
+      const { error } = await supabase.from('eq_certifications').insert({ user_id: userId, equipment_id: kind === 'equipment' ? value : null, category: kind === 'category' ? value : null, certified_on: certifiedOn || format(new Date(), 'yyyy-MM-dd'), expires_on: expiresOn || null, certified_by: user.id, notes: notes.trim() || null })
+      if (error) throw error
+      const member = members.find(m => m.id === userId)
+      showNotification(`Certification recorded for ${member?.first_name} ${member?.last_name}`)
+      setCertificationForm(DEFAULT_CERTIFICATION_FORM)
+      fetchCertifications()
+    } catch (error) {
+      showNotification('Error recording certification', 'error')
+    }
+  }
+
+  // Prefills the form to record a fresh certification for the same member and target
+  const renewCertification = (cert) => {
+    setCertificationForm({ userId: cert.user_id, target: cert.equipment_id ? `equipment:${cert.equipment_id}` : `category:${cert.category}`, certifiedOn: format(new Date(), 'yyyy-MM-dd'), expiresOn: '', notes: '' })
+  }
+
+  const handleDeleteCertification = async (cert) => {
+    if (!window.confirm(`Remove ${cert.users?.first_name} ${cert.users?.last_name}'s certification for ${cert.eq_equipment?.name || cert.category}?`)) return
+    try {
+      const { error } = await supabase.from('eq_certifications').delete().eq('id', cert.id)
+      if (error) throw error
+      showNotification('Certification removed')
+      fetchCertifications()
+    } catch (error) {
+      showNotification('Error removing certification', 'error')
+    }
+  }
+
+  const handleUpdateCheckoutSettings = async (changes) => {
+    try {
+      const { error } = await supabase.from('eq_checkout_settings').update({ ...changes, updated_at: new Date().toISOString() }).eq('id', true)
+      if (error) throw error
+      showNotification('Checkout rules updated')
+      fetchCheckoutSettings()
+    } catch (error) {
+      showNotification('Error updating checkout rules', 'error')
+    }
+  }
+
+  const handleAddEquipment = async () => {
+    if (!newEquipment.name) return
+    if (!newEquipment.category) { showNotification('Choose a category', 'error'); return }
+    try {
+      const { data: codeData } = await supabase.rpc('generate_equipment_code')
+      const equipmentCode = codeData || `EQ${String(equipment.length + 1).padStart(3, '0')}`
+      await supabase.from('eq_equipment').insert({ equipment_code: equipmentCode, name: newEquipment.name, category: newEquipment.category, location: newEquipment.location, notes: newEquipment.notes, status: 'available' })
+      showNotification(`${newEquipment.name} added to inventory`)
+      setNewEquipment({ name: '', category: newEquipment.category, location: '', notes: '' })
+      fetchEquipment()
+    } catch (error) {
+      showNotification('Error adding equipment', 'error')
+    }
+  }
+
+  // Applies the create/update rows of a previewed CSV import in one transaction; true when it went through
+  const handleImportEquipment = async (rows) => {
+    try {
+      const { data, error } = await supabase.rpc('import_equipment', { p_rows: rows })
+      if (error) throw error
+      showNotification(`Import complete: ${data.created} added, ${data.updated} updated`)
+      fetchEquipment()
+      return true
+    } catch (error) {
+      showNotification(getRpcErrorMessage(error, 'Import failed. Nothing was imported.'), 'error')
+      return false
+    }
+  }
+
+  const handleAddCategory = async () => {
+    const name = categoryForm.name.trim()
+    if (!name) return
+    if (categoryNames.some(c => c.toLowerCase() === name.toLowerCase())) { showNotification(`${name} already exists`, 'error'); return }
+    try {
+      const { error } = await supabase.from('eq_categories').insert({ name, maintenance_interval_days: parseInt(categoryForm.interval) || null, sort_order: categories.length + 1 })
+      if (error) throw error
+      showNotification(`${name} category added`)
+      setCategoryForm({ name: '', interval: '' })
+      fetchCategories()
+    } catch (error) {
+      showNotification('Error adding category', 'error')
+    }
+  }
+
+  const handleUpdateCategoryInterval = async (name, value) => {
+    const days = parseInt(value) || null
+    if (days === (categories.find(c => c.name === name)?.maintenance_interval_days || null)) return
+    try {
+      const { error } = await supabase.from('eq_categories').update({ maintenance_interval_days: days }).eq('name', name)
+      if (error) throw error
+      showNotification(days ? `${name} service interval set to ${days} days` : `${name} no longer has scheduled maintenance`)
+      fetchCategories()
+    } catch (error) {
+      showNotification('Error updating category', 'error')
+    }
+  }
+
+  const handleUpdateCategoryFlags = async (name, changes) => {
+    try {
+      const { error } = await supabase.from('eq_categories').update(changes).eq('name', name)
+      if (error) throw error
+      showNotification(`${name} checkout rules updated`)
+      fetchCategories()
+    } catch (error) {
+      showNotification('Error updating category', 'error')
+    }
+  }
+
+  const handleDeleteCategory = async (name) => {
+    const inUse = equipment.filter(eq => eq.category === name).length
+    if (inUse > 0) { showNotification(`${name} is used by ${inUse} item${inUse === 1 ? '' : 's'}. Move them to another category first.`, 'error'); return }
+    if (!window.confirm(`Delete the ${name} category?`)) return
+    try {
+      const { error } = await supabase.from('eq_categories').delete().eq('name', name)
+      if (error) throw error
+      showNotification(`${name} category deleted`)
+      if (selectedCategory === name) setSelectedCategory('All')
+      fetchCategories()
+    } catch (error) {
+      showNotification('Error deleting category', 'error')
+    }
+  }
+
+  const handleSetMemberPin = async () => {
+    if (!pinForm.memberNumber || !pinForm.pin) return
+    try {
+      const { error } = await supabase.rpc('set_member_pin', { p_employee_number: parseInt(pinForm.memberNumber), p_pin: pinForm.pin })
+      if (error) throw error
+      showNotification(`PIN set for member #${pinForm.memberNumber}`)
+      setPinForm({ memberNumber: '', pin: '' })
+    } catch (error) {
+      showNotification(error.message || 'Error setting PIN', 'error')
+    }
+  }
+
+  const handleAddMemberRole = async () => {
+    const { userId, role, category } = roleForm
+    if (!userId) return
+    if (role === 'category-chair' && !category) { showNotification('Choose the category they will chair', 'error'); return }
+    try {
+      const { error } = await supabase.from('eq_member_roles').insert({ user_id: userId, role, category: role === 'category-chair' ? category : null })
+      if (error) throw error
+      const member = members.find(m => m.id === userId)
+      showNotification(`${member?.first_name} ${member?.last_name} is now ${role === 'category-chair' ? `${category} chair` : 'a maintenance volunteer'}`)
+      setRoleForm({ ...roleForm, userId: '' })
+      fetchMemberRoles()
+    } catch (error) {
+      showNotification(error.code === '23505' ? 'That member already has this role' : 'Error adding role', 'error')
+    }
+  }
+
+  const handleRemoveMemberRole = async (roleId) => {
+    try {
+      const { error } = await supabase.from('eq_member_roles').delete().eq('id', roleId)
+      if (error) throw error
+      showNotification('Role removed')
+      fetchMemberRoles()
+    } catch (error) {
+      showNotification('Error removing role', 'error')
+    }
+  }
+
+  const openEquipmentEditor = (eq) => {
+    fetchPhotos('equipment_id', [eq.id])
+    setEditingEquipment({ id: eq.id, equipment_code: eq.equipment_code, name: eq.name, category: eq.category, location: eq.location || '', notes: eq.notes || '', maintenanceInterval: eq.maintenance_interval_days ? String(eq.maintenance_interval_days) : '', serviceEveryHours: eq.service_every_hours ? String(eq.service_every_hours) : '', serviceEveryUses: eq.service_every_uses ? String(eq.service_every_uses) : '', hourMeter: eq.hour_meter != null ? String(eq.hour_meter) : '', requiresApproval: !!eq.requires_approval, requiresCertification: !!eq.requires_certification, status: eq.status, originalStatus: eq.status, statusReason: '', retired_at: eq.retired_at })
+  }
+
+  const hasOpenCheckout = (equipmentId) => openCheckouts.some(c => c.equipment_id === equipmentId)
+
+  const handleSaveEquipment = async () => {
+    const form = editingEquipment
+    if (!form.name.trim()) { showNotification('Name is required', 'error'); return }
+    const statusChanged = form.status !== form.originalStatus
+    if (statusChanged && !form.statusReason.trim()) { showNotification('Enter a reason for the status change', 'error'); return }
+    if (statusChanged && hasOpenCheckout(form.id)) { showNotification(`${form.name} is checked out. Return it before changing its status.`, 'error'); return }
+    try {
+      // Hours since service are counted from the last service's reading, so the meter can't go below it
+      if (form.hourMeter !== '') {
+        const { data: lastService } = await supabase.from('eq_maintenance_log').select('hour_meter_reading').eq('equipment_id', form.id).not('hour_meter_reading', 'is', null).order('performed_date', { ascending: false }).order('created_at', { ascending: false }).limit(1).maybeSingle()
+        if (lastService && parseFloat(form.hourMeter) < Number(lastService.hour_meter_reading)) { showNotification(`The hour meter can't be below ${lastService.hour_meter_reading}, the reading at the last service`, 'error'); return }
+      }
+      const changes = { name: form.name.trim(), category: form.category, location: form.location, notes: form.notes, maintenance_interval_days: parseInt(form.maintenanceInterval) || null, service_every_hours: parseFloat(form.serviceEveryHours) || null, service_every_uses: parseInt(form.serviceEveryUses) || null, hour_meter: form.hourMeter === '' ? null : parseFloat(form.hourMeter), requires_approval: form.requiresApproval, requires_certification: form.requiresCertification, updated_at: new Date().toISOString() }
+      if (statusChanged) Object.assign(changes, { status: form.status, status_reason: form.statusReason.trim() })
+      const { error } = await supabase.from('eq_equipment').update(changes).eq('id', form.id)
+      if (error) throw error
+      showNotification(`${form.name} updated`)
+      setEditingEquipment(null)
+      fetchEquipment()
+      fetchUsage()
+    } catch (error) {
+      showNotification('Error updating equipment', 'error')
+    }
+  }
+
+  // Retired items keep their checkout/deficiency history but drop out of inventory and checkout
+  const handleRetireEquipment = async () => {
+    const form = editingEquipment
+    if (!form.statusReason.trim()) { showNotification('Enter a reason for retiring this item', 'error'); return }
+    if (hasOpenCheckout(form.id)) { showNotification(`${form.name} is checked out. Return it before retiring it.`, 'error'); return }
+    try {
+      const { error } = await supabase.from('eq_equipment').update({ status: 'out-of-service', status_reason: form.statusReason.trim(), retired_at: new Date().toISOString(), updated_at: new Date().toISOString() }).eq('id', form.id)
+      if (error) throw error
+      showNotification(`${form.name} retired`)
+      setEditingEquipment(null)
+      fetchEquipment()
+    } catch (error) {
+      showNotification('Error retiring equipment', 'error')
+    }
+  }
+
+  // Like the return trigger, an item with an open major deficiency comes back as needs-repair, not available
+  const handleRestoreEquipment = async () => {
+    const form = editingEquipment
+    try {
+      const { count, error: countError } = await supabase.from('eq_deficiencies').select('id', { count: 'exact', head: true }).eq('equipment_id', form.id).eq('severity', 'major').in('status', OPEN_DEFICIENCY_STATUSES)
+      if (countError) throw countError
+      const status = count > 0 ? 'needs-repair' : 'available'
+      const { error } = await supabase.from('eq_equipment').update({ status, status_reason: form.statusReason.trim() || 'Restored from retirement', retired_at: null, updated_at: new Date().toISOString() }).eq('id', form.id)
+      if (error) throw error
+      showNotification(status === 'needs-repair' ? `${form.name} restored as needs repair: it has an open major problem` : `${form.name} restored to inventory`, status === 'needs-repair' ? 'warning' : 'success')
+      setEditingEquipment(null)
+      fetchEquipment()
+    } catch (error) {
+      showNotification('Error restoring equipment', 'error')
+    }
+  }
+
+  // Permanently removes the item and (by cascade) its checkout and deficiency records
+  const handleDeleteEquipment = async () => {
+    const form = editingEquipment
+    if (hasOpenCheckout(form.id)) { showNotification(`${form.name} is checked out and cannot be deleted`, 'error'); return }
+    const typed = window.prompt(`This permanently deletes ${form.name} and all of its checkout and deficiency history. Retire it instead to keep the history.\n\nType ${form.equipment_code} to confirm.`)
+    if (typed === null) return
+    if (typed.trim().toUpperCase() !== form.equipment_code.toUpperCase()) { showNotification('Code did not match. Nothing was deleted.', 'warning'); return }
+    try {
+      const { error } = await supabase.from('eq_equipment').delete().eq('id', form.id)
+      if (error) throw error
+      showNotification(`${form.name} deleted`)
+      setEditingEquipment(null)
+      setCart(prev => prev.filter(id => id !== form.id))
+      fetchAllData()
+    } catch (error) {
+      showNotification(error.message === 'OPEN_CHECKOUT' ? `${form.name} is checked out and cannot be deleted` : 'Error deleting equipment', 'error')
+    }
+  }
+
+  // eq_maintenance_log has two user FKs (performed_by, created_by), so the embed names the one it means
+  const fetchMaintenanceHistory = async (equipmentId) => {
+    const { data, error } = await supabase.from('eq_maintenance_log').select(`*, users!eq_maintenance_log_performed_by_fkey (first_name, last_name)`).eq('equipment_id', equipmentId).order('performed_date', { ascending: false }).order('created_at', { ascending: false })
+    if (error) console.error('Maintenance history fetch error:', error)
+    setMaintenanceHistory(data || [])
+  }
+
+  const newWorkOrder = (eq) => ({ serviceType: SERVICE_TYPES[0], performedBy: user.id, performedDate: format(new Date(), 'yyyy-MM-dd'), notes: '', parts: '', cost: '', hours: '', hourMeter: eq.hour_meter != null ? String(eq.hour_meter) : '' })
+
+  // Opens the service history for an item; withForm starts a new work order straight away (Alerts "Log Service")
+  const openMaintenance = (eq, withForm = false) => {
+    fetchPhotos('equipment_id', [eq.id])
+    setMaintenanceEquipment(eq)
+    setMaintenanceHistory([])
+    setWorkOrderForm(withForm ? newWorkOrder(eq) : null)
+    fetchMaintenanceHistory(eq.id)
+  }
+
+  const closeMaintenance = () => {
+    setMaintenanceEquipment(null)
+    setWorkOrderForm(null)
+  }
+
+  // last_maintenance is recalculated from the log by the on_maintenance_log_change trigger
+  const handleLogMaintenance = async () => {
+    const form = workOrderForm
+    if (!form.serviceType.trim() || !form.performedDate) { showNotification('Service type and date are required', 'error'); return }
+    try {
+      const { error } = await supabase.from('eq_maintenance_log').insert({ equipment_id: maintenanceEquipment.id, service_type: form.serviceType.trim(), performed_by: form.performedBy || null, performed_date: form.performedDate, notes: form.notes, parts: form.parts, cost: form.cost === '' ? null : parseFloat(form.cost), hours: form.hours === '' ? null : parseFloat(form.hours), hour_meter_reading: form.hourMeter === '' ? null : parseFloat(form.hourMeter) })
+      if (error) throw error
+      showNotification(`${form.serviceType} logged for ${maintenanceEquipment.name}`)
+      setWorkOrderForm(null)
+      fetchMaintenanceHistory(maintenanceEquipment.id)
+      fetchEquipment()
+      fetchUsage()
+    } catch (error) {
+      showNotification('Error logging maintenance', 'error')
+    }
+  }
+
+  const exportMaintenanceLog = async () => {
+    const { data, error } = await supabase.from('eq_maintenance_log').select(`*, eq_equipment (equipment_code, name), users!eq_maintenance_log_performed_by_fkey (first_name, last_name)`).order('performed_date', { ascending: false })
+    if (error) { showNotification('Error exporting maintenance log', 'error'); return }
+    exportToCSV(data || [], 'maintenance_log', [
+      { header: 'Date', accessor: r => r.performed_date },
+      { header: 'Code', accessor: r => r.eq_equipment?.equipment_code },
+      { header: 'Equipment', accessor: r => r.eq_equipment?.name },
+      { header: 'Service', accessor: r => r.service_type },
+      { header: 'Performed By', accessor: r => r.users ? `${r.users.first_name} ${r.users.last_name}` : '' },
+      { header: 'Parts', accessor: r => r.parts },
+      { header: 'Cost', accessor: r => r.cost },
+      { header: 'Hours', accessor: r => r.hours },
+      { header: 'Hour Meter', accessor: r => r.hour_meter_reading },
+      { header: 'Notes', accessor: r => r.notes }
+    ])
+    showNotification('Maintenance log exported')
+  }
+
+  const showItemTimeline = (eq) => {
+    setAuditFilters({ equipmentId: eq.id, actorId: '', from: '', to: '' })
+    openTab('admin')
+  }
+
+  // Item pages keep the list filters in the URL, so going back lands on the same page of the list
+  const openItemPage = (eq) => navigate({ pathname: `/equipment/${encodeURIComponent(eq.equipment_code)}`, search: window.location.search })
+
+  // Back to where the user came from, or to the tabs when the page was opened straight from a QR link
+  const closeItemPage = () => location.key === 'default' ? navigate({ pathname: '/', search: window.location.search }, { replace: true }) : navigate(-1)
+
+  const openTab = (tab) => {
+    setActiveTab(tab)
+    if (itemRoute) navigate({ pathname: '/', search: window.location.search })
+  }
+
+  const showQR = async (eq) => {
+    setQrEquipment(eq)
+    try {
+      const url = await QRCode.toDataURL(equipmentUrl(eq.equipment_code), { width: 200, margin: 2, color: { dark: '#1e3a5f', light: '#ffffff' } })
+      setQrDataUrl(url)
+      setShowQRModal(true)
+    } catch (error) { console.error('QR error:', error) }
+  }
+
+  // Opens a print-ready sheet of QR labels in a new window, or downloads it as an HTML file
+  const handlePrintLabels = async (items, layoutKey, skip, download) => {
+    // Open the window before any await so pop-up blockers treat it as part of the click
+    const win = download ? null : window.open('', '_blank')
+    if (!download && !win) { showNotification('Allow pop-ups for this site to open the label sheet', 'error'); return }
+    try {
+      const html = await buildLabelSheet(items, layoutKey, { skip })
+      if (download) {
+        const link = document.createElement('a')
+        link.href = URL.createObjectURL(new Blob([html], { type: 'text/html;charset=utf-8;' }))
+        link.download = `equipment_labels_${format(new Date(), 'yyyy-MM-dd')}.html`
+        link.click()
+      } else {
+        win.document.open()
+        win.document.write(html)
+        win.document.close()
+      }
+    } catch (error) {
+      win?.close()
+      showNotification('Error generating labels', 'error')
+    }
+  }
+
+  const fetchDeficiencyComments = async (deficiencyId) => {
+    const { data } = await supabase.from('eq_deficiency_comments').select(`*, author:users!eq_deficiency_comments_author_id_fkey (first_name, last_name), assignee:users!eq_deficiency_comments_assigned_to_fkey (first_name, last_name)`).eq('deficiency_id', deficiencyId).order('created_at')
+    setDeficiencyComments(data || [])
+  }
+
+  const openDeficiency = (def) => {
+    fetchPhotos('equipment_id', [def.equipment_id])
+    setSelectedDeficiencyId(def.id)
+    setDeficiencyComments([])
+    setDeficiencyForm({ comment: '', resolutionNotes: '' })
+    fetchDeficiencyComments(def.id)
+  }
+
+  // Maintainers (chairs, category chairs for their gear, maintenance volunteers) and the assignee can move a deficiency along
+  const canWorkDeficiency = (def) => canMaintainItem(equipment.find(eq => eq.id === def.equipment_id)) || (!kiosk && !!def.assigned_to && def.assigned_to === user?.id)
+
+  const handleAddDeficiencyComment = async () => {
+    const body = deficiencyForm.comment.trim()
+    if (!body) return
+    try {
+      const { error } = await supabase.from('eq_deficiency_comments').insert({ deficiency_id: selectedDeficiencyId, author_id: user.id, body })
+      if (error) throw error
+      setDeficiencyForm({ ...deficiencyForm, comment: '' })
+      fetchDeficiencyComments(selectedDeficiencyId)
+    } catch (error) {
+      showNotification('Error adding comment', 'error')
+    }
+  }
+
+  // Status and assignment changes are added to the comment thread by the on_deficiency_workflow_change trigger
+  const handleSetDeficiencyStatus = async (def, status) => {
+    const closing = !OPEN_DEFICIENCY_STATUSES.includes(status)
+    const notes = deficiencyForm.resolutionNotes.trim()
+    if (closing && !notes) { showNotification(`Enter resolution notes before marking it ${DEFICIENCY_STATUSES[status].label.toLowerCase()}`, 'error'); return }
+    const changes = closing
+      ? { status, resolved_by: user.id, resolved_date: format(new Date(), 'yyyy-MM-dd'), resolution_notes: notes, updated_at: new Date().toISOString() }
+      : { status, resolved_by: null, resolved_date: null, resolution_notes: null, updated_at: new Date().toISOString() }
+    try {
+      const { error } = await supabase.from('eq_deficiencies').update(changes).eq('id', def.id)
+      if (error) throw error
+      showNotification(`${def.eq_equipment?.name || 'Deficiency'} marked ${DEFICIENCY_STATUSES[status].label.toLowerCase()}`)
+      setDeficiencyForm({ comment: '', resolutionNotes: '' })
+      fetchDeficiencies()
+      fetchEquipment()
+      fetchDeficiencyComments(def.id)
+    } catch (error) {
+      showNotification(getRpcErrorMessage(error, 'Error updating deficiency'), 'error')
+    }
+  }
+
+  const handleAssignDeficiency = async (def, assigneeId) => {
+    try {
+      const { error } = await supabase.from('eq_deficiencies').update({ assigned_to: assigneeId || null, updated_at: new Date().toISOString() }).eq('id', def.id)
+      if (error) throw error
+      const member = members.find(m => m.id === assigneeId)
+      showNotification(member ? `Assigned to ${member.first_name} ${member.last_name}` : 'Deficiency unassigned')
+      fetchDeficiencies()
+      fetchDeficiencyComments(def.id)
+    } catch (error) {
+      showNotification('Error assigning deficiency', 'error')
+    }
+  }
+
+  // Exports take the list's current filters; the Admin tab's export buttons pass filters that match everything
+  const exportEquipmentList = async (filters) => {
+    let rows
+    try {
+      rows = await fetchAllRows(() => applyInventoryFilters(supabase.from('eq_equipment').select('*'), filters))
+    } catch (error) {
+      showNotification('Error exporting equipment list', 'error')
+      return
+    }
+    exportToCSV(rows, 'equipment_inventory', [
       { header: 'Code', accessor: r => r.equipment_code },
       { header: 'Name', accessor: r => r.name },
       { header: 'Category', accessor: r => r.category },
@@ -318,8 +1879,15 @@ export default function App() {
     showNotification('Equipment list exported')
   }
 
-  const exportCheckoutHistory = () => {
-    exportToCSV(checkouts, 'checkout_history', [
+  const exportCheckoutHistory = async (filters) => {
+    let rows
+    try {
+      rows = await fetchAllRows(() => applyHistoryFilters(supabase.from('eq_checkouts').select(CHECKOUT_SELECT), filters))
+    } catch (error) {
+      showNotification('Error exporting checkout history', 'error')
+      return
+    }
+    exportToCSV(rows, 'checkout_history', [
       { header: 'Equipment', accessor: r => r.eq_equipment?.name },
       { header: 'Code', accessor: r => r.eq_equipment?.equipment_code },
       { header: 'Member', accessor: r => `${r.users?.first_name} ${r.users?.last_name}` },
@@ -333,34 +1901,64 @@ export default function App() {
     showNotification('Checkout history exported')
   }
 
-  const exportDeficiencies = () => {
-    exportToCSV(deficiencies, 'deficiencies_report', [
+  const exportDeficiencies = async (filters) => {
+    let rows
+    try {
+      rows = await fetchAllRows(() => applyDeficiencyFilters(supabase.from('eq_deficiency_list').select(DEFICIENCY_SELECT), filters, user.id))
+    } catch (error) {
+      showNotification('Error exporting deficiencies', 'error')
+      return
+    }
+    exportToCSV(rows, 'deficiencies_report', [
       { header: 'Equipment', accessor: r => r.eq_equipment?.name },
       { header: 'Description', accessor: r => r.description },
       { header: 'Severity', accessor: r => r.severity },
-      { header: 'Status', accessor: r => r.status },
-      { header: 'Reported By', accessor: r => `${r.users?.first_name} ${r.users?.last_name}` },
+      { header: 'Status', accessor: r => DEFICIENCY_STATUSES[r.status]?.label || r.status },
+      { header: 'Assigned To', accessor: r => r.assignee ? `${r.assignee.first_name} ${r.assignee.last_name}` : '' },
+      { header: 'Reported By', accessor: r => r.users ? `${r.users.first_name} ${r.users.last_name}` : '' },
       { header: 'Reported Date', accessor: r => r.reported_date },
-      { header: 'Resolved Date', accessor: r => r.resolved_date || '' }
+      { header: 'Resolved Date', accessor: r => r.resolved_date || '' },
+      { header: 'Resolution Notes', accessor: r => r.resolution_notes || '' }
     ])
     showNotification('Deficiencies report exported')
   }
 
+  const exportEquipmentUsage = () => {
+    exportToCSV(analytics.equipment, `equipment_usage_${analytics.range.from}_to_${analytics.range.to}`, [
+      { header: 'Code', accessor: r => r.equipment_code },
+      { header: 'Name', accessor: r => r.name },
+      { header: 'Category', accessor: r => r.category },
+      { header: 'Checkouts', accessor: r => r.checkouts },
+      { header: 'Days Out', accessor: r => r.days_out },
+      { header: 'Deficiencies', accessor: r => r.deficiencies },
+      { header: 'Deficiencies per Checkout', accessor: r => r.checkouts ? (r.deficiencies / r.checkouts).toFixed(2) : '' },
+      { header: 'Retired', accessor: r => r.retired ? 'Yes' : '' }
+    ])
+    showNotification('Equipment usage exported')
+  }
+
   const exportMaintenanceSchedule = () => {
-    const allWithMaintenance = equipment.filter(eq => MAINTENANCE_INTERVALS[eq.category])
+    const allWithMaintenance = activeEquipment.filter(eq => getMaintenanceInterval(eq, categories) || eq.service_every_hours || eq.service_every_uses)
+    const due = Object.fromEntries(maintenanceDue.map(eq => [eq.id, eq]))
     exportToCSV(allWithMaintenance, 'maintenance_schedule', [
       { header: 'Code', accessor: r => r.equipment_code },
       { header: 'Name', accessor: r => r.name },
       { header: 'Category', accessor: r => r.category },
       { header: 'Last Maintenance', accessor: r => r.last_maintenance || 'Never' },
-      { header: 'Interval (Days)', accessor: r => MAINTENANCE_INTERVALS[r.category] },
-      { header: 'Next Due', accessor: r => !r.last_maintenance ? 'Overdue - Never Done' : format(addDays(parseISO(r.last_maintenance), MAINTENANCE_INTERVALS[r.category]), 'yyyy-MM-dd') },
+      { header: 'Interval (Days)', accessor: r => getMaintenanceInterval(r, categories) || '' },
+      { header: 'Interval Source', accessor: r => r.maintenance_interval_days ? 'Item' : getMaintenanceInterval(r, categories) ? 'Category' : '' },
+      { header: 'Next Due', accessor: r => {
+        const interval = getMaintenanceInterval(r, categories)
+        if (!interval) return ''
+        return !r.last_maintenance ? 'Overdue - Never Done' : format(addDays(parseISO(r.last_maintenance), interval), 'yyyy-MM-dd')
+      }},
+      { header: 'Every (Engine Hrs)', accessor: r => r.service_every_hours || '' },
+      { header: 'Hours Since Service', accessor: r => r.service_every_hours ? usage[r.id]?.hours_since_service ?? '' : '' },
+      { header: 'Every (Checkouts)', accessor: r => r.service_every_uses || '' },
+      { header: 'Checkouts Since Service', accessor: r => r.service_every_uses ? usage[r.id]?.uses_since_service ?? '' : '' },
       { header: 'Status', accessor: r => {
-        if (!r.last_maintenance) return 'OVERDUE'
-        const next = addDays(parseISO(r.last_maintenance), MAINTENANCE_INTERVALS[r.category])
-        if (isPast(next)) return 'OVERDUE'
-        if (differenceInDays(next, new Date()) <= 14) return 'DUE SOON'
-        return 'OK'
+        if (!due[r.id]) return 'OK'
+        return due[r.id].triggers.some(t => t.overdue) ? 'OVERDUE' : 'DUE SOON'
       }}
     ])
     showNotification('Maintenance schedule exported')
@@ -369,9 +1967,16 @@ export default function App() {
   // ============================================
   // LOGIN SCREEN
   // ============================================
+  const notificationBanner = notification && (
+    <div style={{...styles.notification, backgroundColor: notification.type === 'success' ? '#10b981' : notification.type === 'warning' ? '#f59e0b' : '#ef4444'}}>
+      {notification.message}
+    </div>
+  )
+
   if (!user) {
     return (
       <div style={styles.loginContainer}>
+        {notificationBanner}
         <div style={styles.loginCard}>
           <div style={styles.loginHeader}>
             <div style={styles.logoIcon}>🔧</div>
@@ -379,7 +1984,13 @@ export default function App() {
             <p style={styles.loginSubtitle}>Groton Sportsmen's Club</p>
           </div>
 
-          {/* Login Mode Tabs */}
+          {/* Login Mode Tabs - kiosk only offers member badge login */}
+          {kiosk && kioskExit ? (<>
+            <ChairLogin onLogin={handleKioskExit} error={authError} loading={loading} help="A chair or admin must sign in to turn off kiosk mode on this tablet." />
+            <button type="button" onClick={() => { setKioskExit(false); setAuthError('') }} style={styles.kioskBackBtn}>← Back to the kiosk</button>
+          </>) : kiosk ? (
+            <MemberLogin key={loginResetKey} onLogin={handleMemberLogin} error={authError} loading={loading} kiosk offline={!online} />
+          ) : (<>
           <div style={styles.loginTabs}>
             <button 
               onClick={() => { setLoginMode('member'); setAuthError('') }}
@@ -400,13 +2011,35 @@ export default function App() {
           ) : (
             <ChairLogin onLogin={handleChairLogin} error={authError} loading={loading} />
           )}
+          </>)}
         </div>
       </div>
     )
   }
 
-  const isAdmin = user.role === 'admin' || user.role === 'chair'
-  const alertCount = overdueCheckouts.length + maintenanceDue.length + deficiencies.filter(d => d.status === 'pending').length
+  // Kiosk sessions never show chair tools, whoever signs in
+  const isAdmin = !kiosk && (user.role === 'admin' || user.role === 'chair')
+  // Equipment roles (eq_member_roles) on top of users.role; RLS enforces the same rules
+  const myRoles = kiosk ? [] : memberRoles.filter(r => r.user_id === user.id)
+  const isMaintainer = myRoles.some(r => r.role === 'maintenance')
+  const managedCategories = isAdmin ? categoryNames : myRoles.filter(r => r.role === 'category-chair').map(r => r.category)
+  const isCategoryChair = !isAdmin && managedCategories.length > 0
+  const isStaff = isAdmin || isCategoryChair || isMaintainer
+  const canManageItem = (eq) => isAdmin || (!!eq && managedCategories.includes(eq.category))
+  const canMaintainItem = (eq) => isMaintainer || canManageItem(eq)
+  const managedEquipment = equipment.filter(canManageItem)
+  const openDeficiencies = deficiencies.filter(isOpenDeficiency)
+  // Closed deficiencies someone else reported are only in the Deficiencies tab's page
+  const selectedDeficiency = deficiencies.find(d => d.id === selectedDeficiencyId) || deficiencyPage.rows.find(d => d.id === selectedDeficiencyId) || itemHistory?.deficiencies.find(d => d.id === selectedDeficiencyId)
+  const myOpenCheckouts = checkouts.filter(c => c.user_id === user?.id && !c.return_date)
+  // Alerts only cover the gear each staff member looks after
+  const itemOf = (equipmentId) => equipment.find(eq => eq.id === equipmentId)
+  const pendingExtensions = extensionRequests.filter(r => r.status === 'pending' && canManageItem(itemOf(r.eq_checkouts?.equipment_id)))
+  const pendingCheckoutRequests = checkoutRequests.filter(r => r.status === 'pending' && canManageItem(r.eq_equipment)).reverse()
+  const myOverdueAlerts = overdueCheckouts.filter(c => canManageItem(c.eq_equipment))
+  const myMaintenanceDue = maintenanceDue.filter(canMaintainItem)
+  const myDeficiencyAlerts = openDeficiencies.filter(d => canMaintainItem(itemOf(d.equipment_id)))
+  const alertCount = myOverdueAlerts.length + myMaintenanceDue.length + myDeficiencyAlerts.filter(d => d.status === 'pending').length + pendingExtensions.length + pendingCheckoutRequests.length + offlineConflicts.length
 
   // ============================================
   // MAIN APP
@@ -422,43 +2055,64 @@ export default function App() {
           </div>
         </div>
         <div style={styles.headerRight}>
-          <span style={styles.userBadge}>{isAdmin ? '👔' : '👤'} {user.first_name} {user.last_name}</span>
-          <button onClick={handleLogout} style={styles.logoutBtn}>Logout</button>
+          {kiosk && <span style={styles.kioskBadge}>KIOSK</span>}
+          {kiosk && (!online || offlineQueue.length > 0) && <span style={styles.offlineBadge}>{online ? '' : 'OFFLINE'}{!online && offlineQueue.length > 0 ? ' · ' : ''}{offlineQueue.length > 0 ? `${offlineQueue.length} to sync` : ''}</span>}
+          <span style={styles.userBadge}>{isAdmin ? '👔' : isStaff ? '🛠️' : '👤'} {user.first_name} {user.last_name}</span>
+          <button onClick={handleLogout} style={styles.logoutBtn}>{kiosk ? 'Done' : 'Logout'}</button>
         </div>
       </header>
 
       <nav style={styles.nav}>
-        <button onClick={() => setActiveTab('checkout')} style={activeTab === 'checkout' ? styles.navBtnActive : styles.navBtn}>📤 Checkout/Return</button>
-        <button onClick={() => setActiveTab('inventory')} style={activeTab === 'inventory' ? styles.navBtnActive : styles.navBtn}>📋 Inventory</button>
-        <button onClick={() => setActiveTab('deficiencies')} style={activeTab === 'deficiencies' ? styles.navBtnActive : styles.navBtn}>
-          ⚠️ Deficiencies {deficiencies.filter(d => d.status === 'pending').length > 0 && <span style={styles.badge}>{deficiencies.filter(d => d.status === 'pending').length}</span>}
+        <button onClick={() => openTab('checkout')} style={activeTab === 'checkout' ? styles.navBtnActive : styles.navBtn}>📤 Checkout/Return</button>
+        <button onClick={() => openTab('mygear')} style={activeTab === 'mygear' ? styles.navBtnActive : styles.navBtn}>
+          🎒 My Gear {myOpenCheckouts.length > 0 && <span style={styles.badge}>{myOpenCheckouts.length}</span>}
         </button>
-        <button onClick={() => setActiveTab('history')} style={activeTab === 'history' ? styles.navBtnActive : styles.navBtn}>📜 History</button>
-        {isAdmin && (
-          <>
-            <button onClick={() => setActiveTab('alerts')} style={activeTab === 'alerts' ? styles.navBtnActive : styles.navBtn}>
-              🔔 Alerts {alertCount > 0 && <span style={styles.badgeRed}>{alertCount}</span>}
-            </button>
-            <button onClick={() => setActiveTab('admin')} style={activeTab === 'admin' ? styles.navBtnActive : styles.navBtn}>⚙️ Admin</button>
-          </>
+        <button onClick={() => openTab('inventory')} style={activeTab === 'inventory' ? styles.navBtnActive : styles.navBtn}>📋 Inventory</button>
+        <button onClick={() => openTab('deficiencies')} style={activeTab === 'deficiencies' ? styles.navBtnActive : styles.navBtn}>
+          ⚠️ Deficiencies {openDeficiencies.length > 0 && <span style={styles.badge}>{openDeficiencies.length}</span>}
+        </button>
+        <button onClick={() => openTab('reservations')} style={activeTab === 'reservations' ? styles.navBtnActive : styles.navBtn}>📅 Reservations</button>
+        <button onClick={() => openTab('history')} style={activeTab === 'history' ? styles.navBtnActive : styles.navBtn}>📜 History</button>
+        {isStaff && (
+          <button onClick={() => openTab('alerts')} style={activeTab === 'alerts' ? styles.navBtnActive : styles.navBtn}>
+            🔔 Alerts {alertCount > 0 && <span style={styles.badgeRed}>{alertCount}</span>}
+          </button>
         )}
+        {(isAdmin || isCategoryChair) && <button onClick={() => openTab('analytics')} style={activeTab === 'analytics' ? styles.navBtnActive : styles.navBtn}>📈 Analytics</button>}
+        {(isAdmin || isCategoryChair) && <button onClick={() => openTab('admin')} style={activeTab === 'admin' ? styles.navBtnActive : styles.navBtn}>⚙️ Admin</button>}
       </nav>
 
-      {notification && (
-        <div style={{...styles.notification, backgroundColor: notification.type === 'success' ? '#10b981' : notification.type === 'warning' ? '#f59e0b' : '#ef4444'}}>
-          {notification.message}
-        </div>
-      )}
+      {notificationBanner}
 
       <main style={styles.main}>
-        {activeTab === 'checkout' && <CheckoutTab scanInputRef={scanInputRef} searchTerm={searchTerm} handleScanSearch={handleScanSearch} selectedCategory={selectedCategory} setSelectedCategory={setSelectedCategory} filteredEquipment={filteredEquipment} selectedEquipment={selectedEquipment} setSelectedEquipment={setSelectedEquipment} checkoutForm={checkoutForm} setCheckoutForm={setCheckoutForm} handleCheckout={handleCheckout} returnForm={returnForm} setReturnForm={setReturnForm} handleReturn={handleReturn} checkouts={checkouts} />}
-        {activeTab === 'inventory' && <InventoryTab equipment={equipment} searchTerm={searchTerm} setSearchTerm={setSearchTerm} selectedCategory={selectedCategory} setSelectedCategory={setSelectedCategory} filteredEquipment={filteredEquipment} showQR={showQR} isAdmin={isAdmin} exportEquipmentList={exportEquipmentList} />}
-        {activeTab === 'deficiencies' && <DeficienciesTab deficiencies={deficiencies} isAdmin={isAdmin} resolveDeficiency={resolveDeficiency} exportDeficiencies={exportDeficiencies} />}
-        {activeTab === 'history' && <HistoryTab checkouts={checkouts} exportCheckoutHistory={exportCheckoutHistory} isAdmin={isAdmin} />}
-        {activeTab === 'alerts' && isAdmin && <AlertsTab overdueCheckouts={overdueCheckouts} maintenanceDue={maintenanceDue} deficiencies={deficiencies} handleUpdateMaintenance={handleUpdateMaintenance} />}
-        {activeTab === 'admin' && isAdmin && <AdminTab equipment={equipment} checkouts={checkouts} deficiencies={deficiencies} newEquipment={newEquipment} setNewEquipment={setNewEquipment} handleAddEquipment={handleAddEquipment} exportEquipmentList={exportEquipmentList} exportCheckoutHistory={exportCheckoutHistory} exportDeficiencies={exportDeficiencies} exportMaintenanceSchedule={exportMaintenanceSchedule} />}
+        {itemRoute && <EquipmentDetail code={itemRoute.params.code} item={detailItem} loaded={equipment.length > 0} history={itemHistory?.equipmentId === detailItem?.id ? itemHistory : null} user={user} holder={detailItem && checkouts.find(c => c.equipment_id === detailItem.id && !c.return_date)} openCheckout={detailItem && openCheckouts.find(c => c.equipment_id === detailItem.id)} reservations={detailItem ? getUpcomingReservations(detailItem.id, reservations) : []} photos={photos} categories={categories} maintenanceDue={detailItem && maintenanceDue.find(m => m.id === detailItem.id)} inCart={detailItem && cart.includes(detailItem.id)} isAdmin={isAdmin} canManage={detailItem ? canManageItem(detailItem) : false} onBack={closeItemPage} onCart={(eq) => { addToCart(eq); openTab('checkout') }} onEdit={openEquipmentEditor} onService={openMaintenance} onReport={openReportProblem} onPrintLabel={(eq) => handlePrintLabels([eq], Object.keys(LABEL_LAYOUTS)[0], 0, false)} onAuditLog={showItemTimeline} openDeficiency={openDeficiency} />}
+        {!itemRoute && activeTab === 'checkout' && <CheckoutTab categories={categoryNames} scanInputRef={scanInputRef} searchTerm={searchTerm} handleScanSearch={handleScanSearch} openItemPage={openItemPage} selectedCategory={selectedCategory} setSelectedCategory={setSelectedCategory} filteredEquipment={filteredEquipment} cart={cart} checkoutCart={checkoutCart} returnCart={returnCart} toggleCartItem={toggleCartItem} removeFromCart={removeFromCart} checkoutForm={checkoutForm} setCheckoutForm={setCheckoutForm} handleCheckout={handleCheckout} returnForms={returnForms} setReturnForms={setReturnForms} handleReturn={handleReturn} openReportProblem={openReportProblem} checkoutPhotos={checkoutPhotos} setCheckoutPhotos={setCheckoutPhotos} checkouts={checkouts} reservations={reservations} user={user} checkoutSettings={checkoutSettings} isUncertified={(eq) => !user.offline && requiresCertification(eq, categories) && !findCertification(user.id, eq, certifications)} approvalReasonFor={(eq) => canManageItem(eq) ? null : getApprovalReason(eq, categories, checkoutForm.useType, checkoutSettings)} />}
+        {!itemRoute && activeTab === 'mygear' && <MyGearTab user={user} checkouts={checkouts} deficiencies={deficiencies} reservations={reservations} extensionRequests={extensionRequests} extensionForm={extensionForm} setExtensionForm={setExtensionForm} handleRequestExtension={handleRequestExtension} handleWithdrawExtension={handleWithdrawExtension} checkoutRequests={checkoutRequests} handleWithdrawCheckoutRequest={handleWithdrawCheckoutRequest} certifications={certifications} handleCancelReservation={handleCancelReservation} openDeficiency={openDeficiency} />}
+        {!itemRoute && activeTab === 'inventory' && <InventoryTab categories={categoryNames} equipment={activeEquipment} page={inventoryPage} filters={inventoryFilters} openItemPage={openItemPage} setFilters={setInventoryFilters} offline={user.offline} openEquipmentEditor={openEquipmentEditor} showQR={showQR} openMaintenance={openMaintenance} showItemTimeline={showItemTimeline} openReportProblem={openReportProblem} isAdmin={isAdmin} canManageItem={canManageItem} exportEquipmentList={() => exportEquipmentList(inventoryFilters)} />}
+        {!itemRoute && activeTab === 'deficiencies' && <DeficienciesTab deficiencies={deficiencies} page={deficiencyPage} photos={photos} filters={deficiencyFilters} setFilters={setDeficiencyFilters} offline={user.offline} equipment={equipment} categories={categoryNames} members={members} user={user} isAdmin={isAdmin} canWorkDeficiency={canWorkDeficiency} openDeficiency={openDeficiency} exportDeficiencies={() => exportDeficiencies(deficiencyFilters)} />}
+        {!itemRoute && activeTab === 'reservations' && <ReservationsTab equipment={equipment} reservations={reservations} openCheckouts={openCheckouts} user={user} isAdmin={isAdmin} reservationForm={reservationForm} setReservationForm={setReservationForm} handleCreateReservation={handleCreateReservation} handleCancelReservation={handleCancelReservation} />}
+        {!itemRoute && activeTab === 'history' && <HistoryTab page={historyPage} filters={historyFilters} setFilters={setHistoryFilters} offline={user.offline} equipment={equipment} categories={categoryNames} members={members} exportCheckoutHistory={() => exportCheckoutHistory(historyFilters)} showMembers={isAdmin || isCategoryChair} />}
+        {!itemRoute && activeTab === 'alerts' && isStaff && <AlertsTab overdueCheckouts={myOverdueAlerts} maintenanceDue={myMaintenanceDue} deficiencies={myDeficiencyAlerts} openMaintenance={openMaintenance} openDeficiency={openDeficiency} pendingExtensions={pendingExtensions} pendingCheckoutRequests={pendingCheckoutRequests} equipment={equipment} categories={categories} checkoutSettings={checkoutSettings} reservations={reservations} handleDecideExtension={handleDecideExtension} handleDecideCheckoutRequest={handleDecideCheckoutRequest} offlineConflicts={offlineConflicts} handleResolveOfflineConflict={handleResolveOfflineConflict} />}
+        {!itemRoute && activeTab === 'analytics' && (isAdmin || isCategoryChair) && <AnalyticsTab analytics={analytics} range={analyticsRange} setRange={setAnalyticsRange} isChair={isAdmin} exportEquipmentUsage={exportEquipmentUsage} />}
+        {!itemRoute && activeTab === 'admin' && (isAdmin || isCategoryChair) && <AdminTab isChair={isAdmin} categories={categories} managedCategories={managedCategories} categoryForm={categoryForm} setCategoryForm={setCategoryForm} handleAddCategory={handleAddCategory} handleUpdateCategoryInterval={handleUpdateCategoryInterval} handleUpdateCategoryFlags={handleUpdateCategoryFlags} handleDeleteCategory={handleDeleteCategory} checkoutSettings={checkoutSettings} handleUpdateCheckoutSettings={handleUpdateCheckoutSettings} certifications={certifications} certificationForm={certificationForm} setCertificationForm={setCertificationForm} handleAddCertification={handleAddCertification} renewCertification={renewCertification} handleDeleteCertification={handleDeleteCertification} equipment={activeEquipment.filter(canManageItem)} allEquipment={managedEquipment} openEquipmentEditor={openEquipmentEditor} checkoutCount={checkoutCount} deficiencies={deficiencies} newEquipment={newEquipment} setNewEquipment={setNewEquipment} handleAddEquipment={handleAddEquipment} handleImportEquipment={handleImportEquipment} inventory={equipment} handlePrintLabels={handlePrintLabels} exportEquipmentList={() => exportEquipmentList({ ...DEFAULT_INVENTORY_FILTERS, retired: true })} exportCheckoutHistory={() => exportCheckoutHistory(DEFAULT_HISTORY_FILTERS)} exportDeficiencies={() => exportDeficiencies({ ...DEFAULT_DEFICIENCY_FILTERS, status: '' })} exportMaintenanceSchedule={exportMaintenanceSchedule} exportMaintenanceLog={exportMaintenanceLog} kioskDevices={kioskDevices} kioskSetupLink={kioskSetupLink} setKioskSetupLink={setKioskSetupLink} handleRegisterKiosk={handleRegisterKiosk} handleRevokeKiosk={handleRevokeKiosk} pinForm={pinForm} setPinForm={setPinForm} handleSetMemberPin={handleSetMemberPin} members={members} memberRoles={memberRoles} roleForm={roleForm} setRoleForm={setRoleForm} handleAddMemberRole={handleAddMemberRole} handleRemoveMemberRole={handleRemoveMemberRole} auditLog={auditLog} auditFilters={auditFilters} setAuditFilters={setAuditFilters} />}
       </main>
 
+      {editingEquipment && (
+        <EquipmentEditorModal form={editingEquipment} photos={photos.filter(p => p.equipment_id === editingEquipment.id && p.kind === 'equipment')} onAddPhotos={(files) => attachPhotos(files, { equipment_id: editingEquipment.id, kind: 'equipment' })} onRemovePhoto={handleRemovePhoto} setForm={setEditingEquipment} categories={categories.filter(c => managedCategories.includes(c.name))} hasOpenCheckout={hasOpenCheckout(editingEquipment.id)} onSave={handleSaveEquipment} onRetire={handleRetireEquipment} onRestore={handleRestoreEquipment} onDelete={handleDeleteEquipment} onClose={() => setEditingEquipment(null)} />
+      )}
+
+      {reportForm && (
+        <ReportProblemModal form={reportForm} setForm={setReportForm} equipment={activeEquipment} onSubmit={handleReportProblem} onClose={() => setReportForm(null)} />
+      )}
+
+      {selectedDeficiency && (
+        <DeficiencyModal deficiency={selectedDeficiency} photos={photos} onAddPhotos={(files) => attachPhotos(files, { equipment_id: selectedDeficiency.equipment_id, deficiency_id: selectedDeficiency.id, kind: 'deficiency' })} onRemovePhoto={canManageItem(itemOf(selectedDeficiency.equipment_id)) ? handleRemovePhoto : null} comments={deficiencyComments} form={deficiencyForm} setForm={setDeficiencyForm} canWork={canWorkDeficiency(selectedDeficiency)} canAssign={canMaintainItem(itemOf(selectedDeficiency.equipment_id))} members={members} onComment={handleAddDeficiencyComment} onSetStatus={(status) => handleSetDeficiencyStatus(selectedDeficiency, status)} onAssign={(assigneeId) => handleAssignDeficiency(selectedDeficiency, assigneeId)} onClose={() => setSelectedDeficiencyId(null)} />
+      )}
+
+      {maintenanceEquipment && (
+        <MaintenanceModal photos={photos.filter(p => p.equipment_id === maintenanceEquipment.id && p.kind === 'equipment')} equipment={equipment.find(eq => eq.id === maintenanceEquipment.id) || maintenanceEquipment} history={maintenanceHistory} form={workOrderForm} setForm={setWorkOrderForm} canLog={canMaintainItem(maintenanceEquipment)} members={members} onNewWorkOrder={() => setWorkOrderForm(newWorkOrder(equipment.find(eq => eq.id === maintenanceEquipment.id) || maintenanceEquipment))} onSubmit={handleLogMaintenance} onClose={closeMaintenance} />
+      )}
+
       {showQRModal && qrEquipment && (
         <div style={styles.modalOverlay} onClick={() => setShowQRModal(false)}>
           <div style={styles.modal} onClick={e => e.stopPropagation()}>
@@ -481,17 +2135,50 @@ export default function App() {
 // LOGIN COMPONENTS
 // ============================================
 
-function MemberLogin({ onLogin, error, loading }) {
+function MemberLogin({ onLogin, error, loading, kiosk, offline }) {
   const [memberNumber, setMemberNumber] = useState('')
+  const [pin, setPin] = useState('')
+  const [badgeInput, setBadgeInput] = useState('')
+  const [badgeError, setBadgeError] = useState('')
 
   const handleSubmit = (e) => {
     e.preventDefault()
-    if (memberNumber) onLogin(memberNumber)
+    if (memberNumber && pin) onLogin(memberNumber, pin)
+  }
+
+  // Kiosk: the scanner types the badge code and presses Enter
+  const handleBadgeScan = (e) => {
+    e.preventDefault()
+    const number = parseMemberBadge(badgeInput)
+    setBadgeInput('')
+    if (!number) { setBadgeError('Badge not recognised. Scan again or type your member number.'); return }
+    setBadgeError('')
+    setMemberNumber(number)
+  }
+
+  if (kiosk && !memberNumber) {
+    return (
+      <form onSubmit={handleBadgeScan} style={styles.loginForm}>
+        <div style={styles.kioskScanIcon}>🪪</div>
+        <p style={styles.loginHelp}>Scan your member badge to begin.</p>
+        {offline && <p style={styles.fieldHint}>The kiosk is offline. Members who have signed in here recently can still check out and return; it all syncs when the connection is back.</p>}
+        <input
+          type="text"
+          value={badgeInput}
+          onChange={(e) => setBadgeInput(e.target.value)}
+          onBlur={(e) => e.target.focus()}
+          placeholder="Scan badge or type member #"
+          style={styles.loginInputLarge}
+          autoFocus
+        />
+        {badgeError && <p style={styles.errorText}>{badgeError}</p>}
+      </form>
+    )
   }
 
   return (
     <form onSubmit={handleSubmit} style={styles.loginForm}>
-      <p style={styles.loginHelp}>Enter your member number to check out or return equipment.</p>
+      <p style={styles.loginHelp}>Enter your member number and PIN to check out or return equipment.</p>
       
       <div style={styles.formGroup}>
         <label style={styles.loginLabel}>Member Number</label>
@@ -501,20 +2188,37 @@ function MemberLogin({ onLogin, error, loading }) {
           onChange={(e) => setMemberNumber(e.target.value)}
           placeholder="Enter your member #"
           style={styles.loginInputLarge}
-          autoFocus
+          autoFocus={!kiosk}
+          readOnly={kiosk}
+        />
+      </div>
+
+      <div style={styles.formGroup}>
+        <label style={styles.loginLabel}>PIN</label>
+        <input
+          type="password"
+          inputMode="numeric"
+          pattern="[0-9]*"
+          maxLength={8}
+          value={pin}
+          onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))}
+          placeholder="••••"
+          style={styles.loginInputLarge}
+          autoFocus={kiosk}
         />
       </div>
 
       {error && <p style={styles.errorText}>{error}</p>}
       
-      <button type="submit" style={styles.loginBtn} disabled={!memberNumber || loading}>
+      <button type="submit" style={styles.loginBtn} disabled={!memberNumber || !pin || loading}>
         {loading ? 'Checking...' : 'Continue →'}
       </button>
+      {kiosk && <button type="button" onClick={() => { setMemberNumber(''); setPin('') }} style={styles.kioskBackBtn}>← Not you? Scan again</button>}
     </form>
   )
 }
 
-function ChairLogin({ onLogin, error, loading }) {
+function ChairLogin({ onLogin, error, loading, help = 'Chair/Admin login for full management access.' }) {
   const [email, setEmail] = useState('')
   const [password, setPassword] = useState('')
 
@@ -525,7 +2229,7 @@ function ChairLogin({ onLogin, error, loading }) {
 
   return (
     <form onSubmit={handleSubmit} style={styles.loginForm}>
-      <p style={styles.loginHelp}>Chair/Admin login for full management access.</p>
+      <p style={styles.loginHelp}>{help}</p>
       
       <div style={styles.formGroup}>
         <label style={styles.loginLabel}>Email</label>
@@ -545,65 +2249,162 @@ function ChairLogin({ onLogin, error, loading }) {
 // TAB COMPONENTS
 // ============================================
 
-function CheckoutTab({ scanInputRef, searchTerm, handleScanSearch, selectedCategory, setSelectedCategory, filteredEquipment, selectedEquipment, setSelectedEquipment, checkoutForm, setCheckoutForm, handleCheckout, returnForm, setReturnForm, handleReturn, checkouts }) {
+function CheckoutTab({ categories, scanInputRef, searchTerm, handleScanSearch, selectedCategory, setSelectedCategory, filteredEquipment, openItemPage, cart, checkoutCart, returnCart, toggleCartItem, removeFromCart, checkoutForm, setCheckoutForm, handleCheckout, returnForms, setReturnForms, handleReturn, openReportProblem, checkoutPhotos, setCheckoutPhotos, checkouts, reservations, user, checkoutSettings, isUncertified, approvalReasonFor }) {
+  const needsApproval = checkoutCart.filter(eq => approvalReasonFor(eq))
+  const uncertified = checkoutCart.filter(isUncertified)
+  const limits = checkoutForm.useType === 'personal' && checkoutSettings ? [checkoutSettings.personal_max_days && `back within ${checkoutSettings.personal_max_days} days`, checkoutSettings.personal_max_items && `at most ${checkoutSettings.personal_max_items} items out at a time`].filter(Boolean) : []
+  const blockedItems = checkoutCart.map(eq => ({ eq, reservation: getBlockingReservation(eq.id, user.id, checkoutForm.expectedReturn, reservations) })).filter(b => b.reservation)
+  const reservedSoon = checkoutCart.map(eq => ({ eq, reservation: getUpcomingReservations(eq.id, reservations).find(r => r.user_id !== user.id) })).filter(b => b.reservation && !blockedItems.some(x => x.eq.id === b.eq.id))
+  const updateReturnForm = (equipmentId, changes) => setReturnForms({ ...returnForms, [equipmentId]: { ...(returnForms[equipmentId] || DEFAULT_RETURN_FORM), ...changes } })
   return (
     <div style={styles.checkoutContainer}>
       <div style={styles.scanSection}>
-        <label style={styles.scanLabel}>Scan QR Code or Search Equipment</label>
-        <input ref={scanInputRef} type="text" value={searchTerm} onChange={(e) => handleScanSearch(e.target.value)} placeholder="Scan barcode or type to search..." style={styles.scanInput} autoFocus />
+        <div style={styles.scanHeader}><label style={styles.scanLabel}>Scan QR Codes or Search Equipment</label><button onClick={() => openReportProblem(cart.length === 1 ? cart[0] : '')} style={styles.qrBtn}>⚠️ Report a Problem</button></div>
+        <input ref={scanInputRef} type="text" value={searchTerm} onChange={(e) => handleScanSearch(e.target.value)} placeholder="Scan each item's barcode to add it to the cart..." style={styles.scanInput} autoFocus />
       </div>
       <div style={styles.checkoutGrid}>
         <div style={styles.equipmentList}>
           <h3 style={styles.sectionTitle}>Available Equipment</h3>
-          <div style={styles.categoryFilter}>{CATEGORIES.map(cat => (<button key={cat} onClick={() => setSelectedCategory(cat)} style={selectedCategory === cat ? styles.catBtnActive : styles.catBtn}>{cat}</button>))}</div>
+          <div style={styles.categoryFilter}>{['All', ...categories].map(cat => (<button key={cat} onClick={() => setSelectedCategory(cat)} style={selectedCategory === cat ? styles.catBtnActive : styles.catBtn}>{cat}</button>))}</div>
           <div style={styles.equipmentListScroll}>
             {filteredEquipment.map(eq => (
-              <div key={eq.id} onClick={() => setSelectedEquipment(eq)} style={{...styles.equipmentItem, borderLeft: `4px solid ${STATUS_COLORS[eq.status]}`, backgroundColor: selectedEquipment?.id === eq.id ? '#e0f2fe' : '#fff'}}>
-                <div style={styles.eqItemMain}><span style={styles.eqId}>{eq.equipment_code}</span><span style={styles.eqName}>{eq.name}</span></div>
+              <div key={eq.id} onClick={() => toggleCartItem(eq)} style={{...styles.equipmentItem, borderLeft: `4px solid ${STATUS_COLORS[eq.status]}`, backgroundColor: cart.includes(eq.id) ? '#e0f2fe' : '#fff'}}>
+                <div style={styles.eqItemMain}><span style={styles.eqId}>{eq.equipment_code}</span><span style={styles.eqName}>{eq.name}</span>{cart.includes(eq.id) && <span style={styles.inCartMark}>✓ In cart</span>}<button onClick={(e) => { e.stopPropagation(); openItemPage(eq) }} style={{...styles.qrBtn, marginLeft: cart.includes(eq.id) ? 0 : 'auto'}}>Details</button></div>
                 <div style={styles.eqItemSub}><span style={styles.eqCategory}>{eq.category}</span><span style={{...styles.eqStatus, color: STATUS_COLORS[eq.status]}}>{eq.status.replace('-', ' ')}</span></div>
               </div>
             ))}
           </div>
         </div>
         <div style={styles.actionPanel}>
-          {selectedEquipment ? (
+          {cart.length === 0 ? (<div style={styles.noSelection}><span style={styles.noSelectionIcon}>👆</span><p>Scan QR codes or pick equipment from the list to add it to your cart</p></div>) : (
             <>
-              <div style={styles.selectedEquipment}>
-                <h3 style={styles.selectedTitle}>{selectedEquipment.name}</h3>
-                <p style={styles.selectedId}>ID: {selectedEquipment.equipment_code}</p>
-                <p style={styles.selectedDetail}>📍 {selectedEquipment.location || 'Not specified'}</p>
-                <p style={styles.selectedDetail}>📁 {selectedEquipment.category}</p>
-                {selectedEquipment.notes && <p style={styles.selectedNotes}>📝 {selectedEquipment.notes}</p>}
-                <div style={{...styles.statusBadge, backgroundColor: STATUS_COLORS[selectedEquipment.status]}}>{selectedEquipment.status.replace('-', ' ').toUpperCase()}</div>
-              </div>
-              {selectedEquipment.status === 'available' && (
+              {checkoutCart.length > 0 && (
                 <div style={styles.formSection}>
-                  <h4 style={styles.formTitle}>Check Out Equipment</h4>
-                  <div style={styles.formGroup}><label style={styles.label}>Use Type</label><select value={checkoutForm.useType} onChange={(e) => setCheckoutForm({...checkoutForm, useType: e.target.value})} style={styles.select}><option value="club">Club Work</option><option value="personal">Personal Use</option></select></div>
+                  <h4 style={styles.formTitle}>Check Out ({checkoutCart.length})</h4>
+                  <div style={styles.cartList}>{checkoutCart.map(eq => { const reason = approvalReasonFor(eq); return (<div key={eq.id} style={styles.cartRow}><span style={styles.eqId}>{eq.equipment_code}</span><span style={styles.cartName}>{eq.name}</span>{reason ? <span style={styles.approvalBadge}>🔒 {reason}</span> : <PhotoPicker files={checkoutPhotos[eq.id] || []} onChange={(files) => setCheckoutPhotos({ ...checkoutPhotos, [eq.id]: files })} label="Before" />}<button onClick={() => removeFromCart(eq.id)} style={styles.cartRemoveBtn}>✕</button></div>) })}</div>
+                  <div style={styles.formGroup}><label style={styles.label}>Use Type</label><select value={checkoutForm.useType} onChange={(e) => setCheckoutForm({...checkoutForm, useType: e.target.value})} style={styles.select}><option value="club">Club Work</option><option value="personal">Personal Use</option></select>{limits.length > 0 && <p style={styles.fieldHint}>Personal use: {limits.join(', ')}</p>}</div>
                   <div style={styles.formGroup}><label style={styles.label}>Purpose</label><input type="text" value={checkoutForm.purpose} onChange={(e) => setCheckoutForm({...checkoutForm, purpose: e.target.value})} placeholder="What will you be using this for?" style={styles.input} /></div>
                   <div style={styles.formGroup}><label style={styles.label}>Expected Return Date</label><input type="date" value={checkoutForm.expectedReturn} onChange={(e) => setCheckoutForm({...checkoutForm, expectedReturn: e.target.value})} style={styles.input} min={new Date().toISOString().split('T')[0]} /></div>
-                  <button onClick={handleCheckout} style={styles.checkoutBtn}>✅ Check Out</button>
+                  {blockedItems.map(({ eq, reservation }) => (<div key={eq.id} style={styles.reservationBlock}>⛔ {eq.name} is reserved by {fullName(reservation.users)} from {reservation.start_date} to {reservation.end_date}. Choose an earlier return date or remove it.</div>))}
+                  {reservedSoon.map(({ eq, reservation }) => (<div key={eq.id} style={styles.reservationWarning}>📅 {eq.name} is reserved from {reservation.start_date} by {fullName(reservation.users)}. Please return it before then.</div>))}
+                  {uncertified.map(eq => (<div key={eq.id} style={styles.reservationBlock}>🎓 {eq.name} needs a current certification and you don't have one. Ask a chair about training, or remove it.</div>))}
+                  {needsApproval.length > 0 && <div style={styles.reservationWarning}>🔒 {needsApproval.length === checkoutCart.length ? (needsApproval.length === 1 ? 'This item needs' : 'These items need') : `${needsApproval.map(eq => eq.name).join(', ')} ${needsApproval.length === 1 ? 'needs' : 'need'}`} a chair's approval. A request will be sent and you'll be notified when it's decided.</div>}
+                  <button onClick={handleCheckout} style={blockedItems.length > 0 || uncertified.length > 0 ? styles.checkoutBtnDisabled : styles.checkoutBtn} disabled={blockedItems.length > 0 || uncertified.length > 0}>{needsApproval.length === checkoutCart.length ? `🔒 Request Approval for ${checkoutCart.length === 1 ? 'Item' : `${checkoutCart.length} Items`}` : `✅ Check Out ${checkoutCart.length === 1 ? 'Item' : `${checkoutCart.length} Items`}`}</button>
                 </div>
               )}
-              {selectedEquipment.status === 'checked-out' && (
-                <div style={styles.formSection}>
-                  <h4 style={styles.formTitle}>Return Equipment</h4>
-                  {(() => { const checkout = checkouts.find(c => c.equipment_id === selectedEquipment.id && !c.return_date); return checkout && (<div style={styles.checkoutInfo}><p>Checked out by: <strong>{checkout.users?.first_name} {checkout.users?.last_name}</strong></p><p>Date: {format(parseISO(checkout.checkout_date), 'MMM d, yyyy')}</p><p>Purpose: {checkout.purpose || 'Not specified'}</p><p>Type: {checkout.use_type === 'club' ? 'Club Work' : 'Personal Use'}</p></div>) })()}
-                  <div style={styles.formGroup}><label style={styles.label}>Condition</label><select value={returnForm.condition} onChange={(e) => setReturnForm({...returnForm, condition: e.target.value})} style={styles.select}><option value="good">Good - No Issues</option><option value="deficiency">Report Deficiency</option></select></div>
-                  {returnForm.condition === 'deficiency' && (<><div style={styles.formGroup}><label style={styles.label}>Severity</label><select value={returnForm.severity} onChange={(e) => setReturnForm({...returnForm, severity: e.target.value})} style={styles.select}><option value="minor">Minor - Still Usable</option><option value="major">Major - Needs Repair</option></select></div><div style={styles.formGroup}><label style={styles.label}>Describe the Issue</label><textarea value={returnForm.deficiencyDesc} onChange={(e) => setReturnForm({...returnForm, deficiencyDesc: e.target.value})} placeholder="Describe the problem..." style={styles.textarea} rows={3} /></div></>)}
-                  <button onClick={handleReturn} style={styles.returnBtn}>📥 Return Equipment</button>
+              {returnCart.length > 0 && (
+                <div style={{...styles.formSection, marginTop: checkoutCart.length > 0 ? '32px' : 0}}>
+                  <h4 style={styles.formTitle}>Return ({returnCart.length})</h4>
+                  {returnCart.map(eq => { const checkout = checkouts.find(c => c.equipment_id === eq.id && !c.return_date); const form = returnForms[eq.id] || DEFAULT_RETURN_FORM; return (
+                    <div key={eq.id} style={styles.returnItem}>
+                      <div style={styles.cartRow}><span style={styles.eqId}>{eq.equipment_code}</span><span style={styles.cartName}>{eq.name}</span><button onClick={() => removeFromCart(eq.id)} style={styles.cartRemoveBtn}>✕</button></div>
+                      {checkout && (<div style={styles.checkoutInfo}><p>Checked out by: <strong>{checkout.users?.first_name} {checkout.users?.last_name}</strong> on {format(parseISO(checkout.checkout_date), 'MMM d, yyyy')}</p><p>Purpose: {checkout.purpose || 'Not specified'} ({checkout.use_type === 'club' ? 'Club Work' : 'Personal Use'})</p></div>)}
+                      {eq.service_every_hours && <div style={styles.formGroup}><label style={styles.label}>Hour Meter Reading{eq.hour_meter != null ? ` (last: ${eq.hour_meter})` : ''}</label><input type="number" min={eq.hour_meter || 0} step="0.1" inputMode="decimal" value={form.hourMeter} onChange={(e) => updateReturnForm(eq.id, { hourMeter: e.target.value })} placeholder="Read it off the engine meter" style={styles.input} /></div>}
+                      <div style={styles.formGroup}><label style={styles.label}>Condition</label><select value={form.condition} onChange={(e) => updateReturnForm(eq.id, { condition: e.target.value })} style={styles.select}><option value="good">Good - No Issues</option><option value="deficiency">Report Deficiency</option></select></div>
+                      <div style={styles.formGroup}><label style={styles.label}>Condition Photos (optional)</label><PhotoPicker files={form.photos} onChange={(files) => updateReturnForm(eq.id, { photos: files })} label="Add after photos" /></div>
+                      {form.condition === 'deficiency' && (<><div style={styles.formGroup}><label style={styles.label}>Severity</label><select value={form.severity} onChange={(e) => updateReturnForm(eq.id, { severity: e.target.value })} style={styles.select}><option value="minor">Minor - Still Usable</option><option value="major">Major - Needs Repair</option></select></div><div style={styles.formGroup}><label style={styles.label}>Describe the Issue</label><textarea value={form.deficiencyDesc} onChange={(e) => updateReturnForm(eq.id, { deficiencyDesc: e.target.value })} placeholder="Describe the problem..." style={styles.textarea} rows={3} /></div></>)}
+                    </div>
+                  )})}
+                  <button onClick={handleReturn} style={styles.returnBtn}>📥 Return {returnCart.length === 1 ? 'Equipment' : `${returnCart.length} Items`}</button>
                 </div>
               )}
-              {selectedEquipment.status === 'needs-repair' && (<div style={styles.repairMessage}><span style={styles.repairIcon}>🔧</span><p>This equipment needs repair and cannot be checked out.</p><p style={styles.repairNote}>See Deficiencies tab for details.</p></div>)}
             </>
-          ) : (<div style={styles.noSelection}><span style={styles.noSelectionIcon}>👆</span><p>Select equipment from the list or scan a QR code</p></div>)}
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function MyGearTab({ user, checkouts, deficiencies, reservations, extensionRequests, extensionForm, setExtensionForm, handleRequestExtension, handleWithdrawExtension, checkoutRequests, handleWithdrawCheckoutRequest, certifications, handleCancelReservation, openDeficiency }) {
+  const today = startOfDay(new Date())
+  const mine = checkouts.filter(c => c.user_id === user.id)
+  const out = mine.filter(c => !c.return_date).sort((a, b) => (a.expected_return || '9999').localeCompare(b.expected_return || '9999'))
+  const past = mine.filter(c => c.return_date)
+  const myReservations = reservations.filter(r => r.user_id === user.id && !isPast(addDays(parseISO(r.end_date), 1)))
+  const myDeficiencies = deficiencies.filter(d => d.reported_by === user.id)
+  const requestsFor = (checkoutId) => extensionRequests.filter(r => r.checkout_id === checkoutId && r.user_id === user.id)
+  const myCertifications = certifications.filter(c => c.user_id === user.id)
+  // Pending requests plus anything decided in the last two weeks
+  const myRequests = checkoutRequests.filter(r => r.user_id === user.id && (r.status === 'pending' || (r.decided_at && differenceInDays(today, parseISO(r.decided_at)) <= 14)))
+  const dueLabel = (c) => {
+    if (!c.expected_return) return { text: 'No return date', color: '#64748b' }
+    const days = differenceInDays(parseISO(c.expected_return), today)
+    if (days < 0) return { text: `${-days} day${days === -1 ? '' : 's'} overdue`, color: '#dc2626' }
+    if (days === 0) return { text: 'Due today', color: '#d97706' }
+    return { text: `Due in ${days} day${days === 1 ? '' : 's'}`, color: days <= 2 ? '#d97706' : '#16a34a' }
+  }
+  return (
+    <div style={styles.alertsContainer}>
+      <h2 style={styles.pageTitle}>🎒 My Gear</h2>
+      <div style={styles.alertSection}>
+        <h3 style={styles.alertSectionTitle}><span style={styles.alertIcon}>📤</span>Currently Out ({out.length})</h3>
+        {out.length === 0 ? <p style={styles.noAlerts}>You don't have anything checked out</p> : (
+          <div style={styles.alertList}>{out.map(c => { const due = dueLabel(c); const requests = requestsFor(c.id); const pending = requests.find(r => r.status === 'pending'); const lastDecided = requests.find(r => r.status !== 'pending'); const conflict = extensionForm?.checkoutId === c.id && extensionForm.requestedReturn ? getBlockingReservation(c.equipment_id, user.id, extensionForm.requestedReturn, reservations) : null; return (
+            <div key={c.id} style={styles.alertCard}>
+              <div style={styles.alertCardHeader}><span style={styles.alertEquipment}>{c.eq_equipment?.name}</span><span style={{...styles.maintenanceStatus, color: due.color}}>{due.text}</span></div>
+              <p style={styles.alertDetail}>{c.eq_equipment?.equipment_code} · Checked out {format(parseISO(c.checkout_date), 'MMM d, yyyy')}{c.expected_return ? ` · Due ${format(parseISO(c.expected_return), 'MMM d, yyyy')}` : ''}</p>
+              {pending ? (
+                <div style={styles.reservationWarning}>⏳ Extension to {pending.requested_return} requested, waiting for a chair. <button onClick={() => handleWithdrawExtension(pending.id)} style={styles.qrBtn}>Withdraw</button></div>
+              ) : extensionForm?.checkoutId === c.id ? (
+                <div style={styles.formSection}>
+                  <div style={styles.formGroup}><label style={styles.label}>Keep It Until</label><input type="date" value={extensionForm.requestedReturn} min={format(addDays(c.expected_return ? parseISO(c.expected_return) : today, 1), 'yyyy-MM-dd')} onChange={(e) => setExtensionForm({...extensionForm, requestedReturn: e.target.value})} style={styles.input} /></div>
+                  <div style={styles.formGroup}><label style={styles.label}>Reason (optional)</label><input type="text" value={extensionForm.reason} onChange={(e) => setExtensionForm({...extensionForm, reason: e.target.value})} placeholder="e.g., Rain delayed the job" style={styles.input} /></div>
+                  {conflict && <div style={styles.reservationBlock}>⛔ Reserved from {conflict.start_date} by another member. Choose an earlier date.</div>}
+                  <div style={styles.modalButtons}><button onClick={handleRequestExtension} style={conflict || !extensionForm.requestedReturn ? styles.checkoutBtnDisabled : styles.printModalBtn} disabled={!!conflict || !extensionForm.requestedReturn}>Send Request</button><button onClick={() => setExtensionForm(null)} style={styles.closeModalBtn}>Cancel</button></div>
+                </div>
+              ) : (
+                <>
+                  {lastDecided?.status === 'denied' && <p style={styles.alertDetail}>Last extension request denied{lastDecided.decision_note ? `: ${lastDecided.decision_note}` : ''}</p>}
+                  <button onClick={() => setExtensionForm({ checkoutId: c.id, requestedReturn: '', reason: '' })} style={styles.qrBtn}>📆 Request Extension</button>
+                </>
+              )}
+            </div>
+          )})}</div>
+        )}
+      </div>
+      {myRequests.length > 0 && (
+        <div style={styles.alertSection}>
+          <h3 style={styles.alertSectionTitle}><span style={styles.alertIcon}>🔒</span>Checkout Requests ({myRequests.filter(r => r.status === 'pending').length} waiting)</h3>
+          <div style={styles.resolvedList}>{myRequests.map(r => (<div key={r.id} style={styles.resolvedCard}><span style={styles.resolvedEquip}>{r.eq_equipment?.name}</span><span style={styles.resolvedDesc}>{r.status === 'pending' ? `Requested ${format(parseISO(r.created_at), 'MMM d')}${r.expected_return ? `, until ${r.expected_return}` : ''}` : r.status === 'approved' ? `Approved — checked out to you${r.decision_note ? ` · ${r.decision_note}` : ''}` : `Denied${r.decision_note ? `: ${r.decision_note}` : ''}`}</span>{r.status === 'pending' ? <button onClick={() => handleWithdrawCheckoutRequest(r.id)} style={styles.cartRemoveBtn}>Withdraw</button> : <span style={{...styles.severityBadge, backgroundColor: r.status === 'approved' ? '#dcfce7' : '#fee2e2', color: r.status === 'approved' ? '#16a34a' : '#dc2626'}}>{r.status === 'approved' ? 'Approved' : 'Denied'}</span>}</div>))}</div>
+        </div>
+      )}
+      <div style={styles.alertSection}>
+        <h3 style={styles.alertSectionTitle}><span style={styles.alertIcon}>📅</span>Upcoming Reservations ({myReservations.length})</h3>
+        {myReservations.length === 0 ? <p style={styles.noAlerts}>No upcoming reservations</p> : (
+          <div style={styles.resolvedList}>{myReservations.map(r => (<div key={r.id} style={styles.resolvedCard}><span style={styles.resolvedEquip}>{r.eq_equipment?.name}</span><span style={styles.resolvedDesc}>{r.start_date} to {r.end_date}{r.purpose ? ` · ${r.purpose}` : ''}</span><button onClick={() => handleCancelReservation(r.id)} style={styles.cartRemoveBtn}>Cancel</button></div>))}</div>
+        )}
+      </div>
+      {myCertifications.length > 0 && (
+        <div style={styles.alertSection}>
+          <h3 style={styles.alertSectionTitle}><span style={styles.alertIcon}>🎓</span>My Certifications ({myCertifications.length})</h3>
+          <div style={styles.resolvedList}>{myCertifications.map(c => { const expired = c.expires_on && parseISO(c.expires_on) < today; return (<div key={c.id} style={styles.resolvedCard}><span style={styles.resolvedEquip}>{c.eq_equipment?.name || `All ${c.category}`}</span><span style={styles.resolvedDesc}>Trained {c.certified_on}{c.expires_on ? ` · ${expired ? 'expired' : 'expires'} ${c.expires_on}` : ' · no expiry'}</span>{expired && <span style={{...styles.severityBadge, backgroundColor: '#fee2e2', color: '#dc2626'}}>Expired</span>}</div>) })}</div>
         </div>
+      )}
+      <div style={styles.alertSection}>
+        <h3 style={styles.alertSectionTitle}><span style={styles.alertIcon}>⚠️</span>Problems I Reported ({myDeficiencies.length})</h3>
+        {myDeficiencies.length === 0 ? <p style={styles.noAlerts}>You haven't reported any problems</p> : (
+          <div style={styles.resolvedList}>{myDeficiencies.map(d => (<div key={d.id} style={{...styles.resolvedCard, cursor: 'pointer'}} onClick={() => openDeficiency(d)}><span style={styles.resolvedEquip}>{d.eq_equipment?.name}</span><span style={styles.resolvedDesc}>{d.description}</span><span style={{...styles.severityBadge, backgroundColor: DEFICIENCY_STATUSES[d.status].bg, color: DEFICIENCY_STATUSES[d.status].color}}>{DEFICIENCY_STATUSES[d.status].label}</span></div>))}</div>
+        )}
+      </div>
+      <div style={styles.alertSection}>
+        <h3 style={styles.alertSectionTitle}><span style={styles.alertIcon}>📜</span>Past Checkouts ({past.length})</h3>
+        {past.length === 0 ? <p style={styles.noAlerts}>No past checkouts yet</p> : (
+          <div style={styles.historyTable}>
+            <table style={styles.table}>
+              <thead><tr><th style={styles.th}>Equipment</th><th style={styles.th}>Use Type</th><th style={styles.th}>Purpose</th><th style={styles.th}>Checkout</th><th style={styles.th}>Returned</th><th style={styles.th}>Condition</th></tr></thead>
+              <tbody>{past.map(c => (<tr key={c.id} style={styles.tr}><td style={styles.td}>{c.eq_equipment?.name}</td><td style={styles.td}>{c.use_type === 'club' ? 'Club' : 'Personal'}</td><td style={styles.td}>{c.purpose || '—'}</td><td style={styles.td}>{format(parseISO(c.checkout_date), 'MMM d, yyyy')}</td><td style={styles.td}>{format(parseISO(c.return_date), 'MMM d, yyyy')}</td><td style={styles.td}>{c.return_condition === 'deficiency' ? 'Issue reported' : 'Good'}</td></tr>))}</tbody>
+            </table>
+          </div>
+        )}
       </div>
     </div>
   )
 }
 
-function InventoryTab({ equipment, searchTerm, setSearchTerm, selectedCategory, setSelectedCategory, filteredEquipment, showQR, isAdmin, exportEquipmentList }) {
+function InventoryTab({ categories, equipment, page, filters, setFilters, offline, openItemPage, openEquipmentEditor, showQR, openMaintenance, showItemTimeline, openReportProblem, isAdmin, canManageItem, exportEquipmentList }) {
+  const update = (changes) => setFilters({ ...filters, ...changes, page: 1 })
+  const sortProps = { filters, setFilters }
   return (
     <div style={styles.inventoryContainer}>
       <div style={styles.inventoryHeader}>
@@ -615,60 +2416,309 @@ function InventoryTab({ equipment, searchTerm, setSearchTerm, selectedCategory,
           {isAdmin && <button onClick={exportEquipmentList} style={styles.exportBtn}>📥 Export CSV</button>}
         </div>
       </div>
-      <div style={styles.inventoryFilters}><input type="text" placeholder="Search equipment..." value={searchTerm} onChange={(e) => setSearchTerm(e.target.value)} style={styles.searchInput} /><select value={selectedCategory} onChange={(e) => setSelectedCategory(e.target.value)} style={styles.filterSelect}>{CATEGORIES.map(cat => (<option key={cat} value={cat}>{cat}</option>))}</select></div>
+      <div style={styles.inventoryFilters}>
+        <input type="text" placeholder="Search code, name or location..." value={filters.search} onChange={(e) => update({ search: e.target.value })} style={styles.searchInput} />
+        <select value={filters.category} onChange={(e) => update({ category: e.target.value })} style={styles.filterSelect}><option value="">All categories</option>{categories.map(cat => (<option key={cat} value={cat}>{cat}</option>))}</select>
+        <select value={filters.status} onChange={(e) => update({ status: e.target.value })} style={styles.filterSelect}><option value="">All statuses</option>{Object.keys(STATUS_COLORS).map(status => (<option key={status} value={status}>{status.replace('-', ' ')}</option>))}</select>
+        {isAdmin && <label style={styles.checkboxLabel}><input type="checkbox" checked={filters.retired} onChange={(e) => update({ retired: e.target.checked })} /> Show retired</label>}
+      </div>
       <div style={styles.inventoryTable}>
         <table style={styles.table}>
-          <thead><tr><th style={styles.th}>ID</th><th style={styles.th}>Name</th><th style={styles.th}>Category</th><th style={styles.th}>Location</th><th style={styles.th}>Status</th><th style={styles.th}>Last Maintenance</th><th style={styles.th}>Actions</th></tr></thead>
-          <tbody>{filteredEquipment.map(eq => (<tr key={eq.id} style={styles.tr}><td style={styles.td}>{eq.equipment_code}</td><td style={styles.td}>{eq.name}</td><td style={styles.td}>{eq.category}</td><td style={styles.td}>{eq.location || '—'}</td><td style={styles.td}><span style={{...styles.tableStatus, backgroundColor: STATUS_COLORS[eq.status] + '20', color: STATUS_COLORS[eq.status]}}>{eq.status.replace('-', ' ')}</span></td><td style={styles.td}>{eq.last_maintenance ? format(parseISO(eq.last_maintenance), 'MMM d, yyyy') : 'Never'}</td><td style={styles.td}><button onClick={() => showQR(eq)} style={styles.qrBtn}>QR Code</button></td></tr>))}</tbody>
+          <thead><tr><SortableTh label="ID" column="code" {...sortProps} /><SortableTh label="Name" column="name" {...sortProps} /><SortableTh label="Category" column="category" {...sortProps} /><SortableTh label="Location" column="location" {...sortProps} /><SortableTh label="Status" column="status" {...sortProps} /><SortableTh label="Last Maintenance" column="maintenance" {...sortProps} /><th style={styles.th}>Actions</th></tr></thead>
+          <tbody>{page.rows.map(eq => (<tr key={eq.id} style={styles.tr}><td style={styles.td}>{eq.equipment_code}</td><td style={styles.td}><button onClick={() => openItemPage(eq)} style={styles.linkBtn}>{eq.name}</button></td><td style={styles.td}>{eq.category}</td><td style={styles.td}>{eq.location || '—'}</td><td style={styles.td}><span style={{...styles.tableStatus, backgroundColor: STATUS_COLORS[eq.status] + '20', color: STATUS_COLORS[eq.status]}}>{eq.retired_at ? 'retired' : eq.status.replace('-', ' ')}</span></td><td style={styles.td}>{eq.last_maintenance ? format(parseISO(eq.last_maintenance), 'MMM d, yyyy') : 'Never'}</td><td style={styles.td}><div style={styles.rowActions}><button onClick={() => showQR(eq)} style={styles.qrBtn}>QR Code</button><button onClick={() => openMaintenance(eq)} style={styles.qrBtn}>Service</button>{!eq.retired_at && <button onClick={() => openReportProblem(eq.id)} style={styles.qrBtn}>Report</button>}{canManageItem(eq) && <button onClick={() => openEquipmentEditor(eq)} style={styles.qrBtn}>Edit</button>}{isAdmin && <button onClick={() => showItemTimeline(eq)} style={styles.qrBtn}>Timeline</button>}</div></td></tr>))}</tbody>
         </table>
+        <ListMessage page={page} offline={offline} empty="No equipment matches these filters" />
       </div>
+      <Pager page={filters.page} count={page.count} onPage={(n) => setFilters({ ...filters, page: n })} />
     </div>
   )
 }
 
-function DeficienciesTab({ deficiencies, isAdmin, resolveDeficiency, exportDeficiencies }) {
-  const pending = deficiencies.filter(d => d.status === 'pending')
-  const resolved = deficiencies.filter(d => d.status === 'resolved')
+const ITEM_TIMELINE_FILTERS = { all: 'Everything', checkouts: 'Checkouts', problems: 'Problems', service: 'Service' }
+const ITEM_TIMELINE_KINDS = { checkouts: ['checkout', 'return'], problems: ['deficiency', 'resolved'], service: ['maintenance'] }
+const ITEM_HISTORY_PARTS = { checkouts: 'checkouts', deficiencies: 'problem reports', maintenance: 'service records' }
+
+function EquipmentDetail({ code, item, loaded, history, user, holder, openCheckout, reservations, photos, categories, maintenanceDue, inCart, isAdmin, canManage, onBack, onCart, onEdit, onService, onReport, onPrintLabel, onAuditLog, openDeficiency }) {
+  const [qrUrl, setQrUrl] = useState(null)
+  const [show, setShow] = useState('all')
+  useEffect(() => {
+    setQrUrl(null)
+    QRCode.toDataURL(equipmentUrl(code), { width: 160, margin: 1, color: { dark: '#1e3a5f', light: '#ffffff' } }).then(setQrUrl).catch(error => console.error('QR error:', error))
+  }, [code])
+
+  if (!item) return (
+    <div style={styles.inventoryContainer}>
+      <button onClick={onBack} style={styles.qrBtn}>← Back</button>
+      <p style={styles.listMessage}>{loaded ? `No equipment with code ${code}` : 'Loading...'}</p>
+    </div>
+  )
+
+  const interval = getMaintenanceInterval(item, categories)
+  const events = history ? buildItemTimeline(item, history).filter(e => show === 'all' || ITEM_TIMELINE_KINDS[show].includes(e.kind)) : []
+  const isOverdue = openCheckout?.expected_return && isPast(parseISO(openCheckout.expected_return))
+  return (
+    <div style={styles.inventoryContainer}>
+      <div style={styles.inventoryHeader}>
+        <div>
+          <button onClick={onBack} style={styles.qrBtn}>← Back</button>
+          <h2 style={{...styles.pageTitle, marginTop: '12px'}}><span style={styles.eqId}>{item.equipment_code}</span> {item.name}</h2>
+          <p style={styles.alertDetail}>{item.category}{item.location ? ` · ${item.location}` : ''}</p>
+          {photos.some(p => p.equipment_id === item.id && p.kind === 'equipment') && <PhotoStrip photos={photos.filter(p => p.equipment_id === item.id && p.kind === 'equipment')} />}
+        </div>
+        <span style={{...styles.tableStatus, backgroundColor: STATUS_COLORS[item.status] + '20', color: STATUS_COLORS[item.status]}}>{item.retired_at ? 'retired' : item.status.replace('-', ' ')}</span>
+      </div>
+      <div style={styles.rowActions}>
+        {!item.retired_at && item.status === 'available' && <button onClick={() => onCart(item)} style={styles.qrBtn}>{inCart ? '✓ In cart' : 'Add to cart'}</button>}
+        {!item.retired_at && <button onClick={() => onReport(item.id)} style={styles.qrBtn}>Report problem</button>}
+        {canManage && <button onClick={() => onPrintLabel(item)} style={styles.qrBtn}>Print label</button>}
+        {canManage && <button onClick={() => onEdit(item)} style={styles.qrBtn}>Edit</button>}
+        <button onClick={() => onService(item)} style={styles.qrBtn}>Service</button>
+        {isAdmin && <button onClick={() => onAuditLog(item)} style={styles.qrBtn}>Audit log</button>}
+      </div>
+      <div style={{...styles.adminGrid, marginTop: '20px'}}>
+        <div style={styles.adminCard}>
+          <h3 style={styles.adminCardTitle}>📋 Status</h3>
+          <div style={styles.statsList}>
+            {openCheckout ? (
+              <>
+                <div style={styles.statRow}><span>Checked out to</span><strong>{holder?.users ? fullName(holder.users) : holder ? 'You' : 'A member'}</strong></div>
+                <div style={styles.statRow}><span>Since</span><strong>{format(parseISO(openCheckout.checkout_date), 'MMM d, yyyy')}</strong></div>
+                <div style={styles.statRow}><span>Due back</span><strong style={isOverdue ? { color: '#ef4444' } : undefined}>{openCheckout.expected_return ? format(parseISO(openCheckout.expected_return), 'MMM d, yyyy') : '—'}{isOverdue ? ' (overdue)' : ''}</strong></div>
+              </>
+            ) : <div style={styles.statRow}><span>Checked out to</span><strong>—</strong></div>}
+            {item.status_reason && <div style={styles.statRow}><span>Reason</span><strong>{item.status_reason}</strong></div>}
+            {reservations.map(r => (<div key={r.id} style={styles.statRow}><span>Reserved</span><strong>{r.start_date} to {r.end_date}{r.user_id === user.id ? ' (you)' : ''}</strong></div>))}
+          </div>
+        </div>
+        <div style={styles.adminCard}>
+          <h3 style={styles.adminCardTitle}>🔧 Maintenance</h3>
+          <div style={styles.statsList}>
+            <div style={styles.statRow}><span>Last service</span><strong>{item.last_maintenance ? format(parseISO(item.last_maintenance), 'MMM d, yyyy') : 'Never'}</strong></div>
+            {interval && <div style={styles.statRow}><span>Next due</span><strong>{item.last_maintenance ? format(addDays(parseISO(item.last_maintenance), interval), 'MMM d, yyyy') : 'Now'}</strong></div>}
+            {item.service_every_hours && <div style={styles.statRow}><span>Service every</span><strong>{item.service_every_hours} hrs{item.hour_meter != null ? ` · meter ${item.hour_meter}` : ''}</strong></div>}
+            {item.service_every_uses && <div style={styles.statRow}><span>Service every</span><strong>{item.service_every_uses} uses</strong></div>}
+            {maintenanceDue?.triggers.map(t => (<div key={t.type} style={styles.statRow}><span>Due</span><strong style={{ color: t.overdue ? '#ef4444' : '#f59e0b' }}>{t.label}</strong></div>))}
+          </div>
+        </div>
+        <div style={styles.adminCard}>
+          <h3 style={styles.adminCardTitle}>🏷️ Label</h3>
+          <div style={styles.qrContainer}>{qrUrl && <img src={qrUrl} alt={`QR code for ${item.equipment_code}`} />}</div>
+          {item.notes && <p style={styles.alertDetail}>{item.notes}</p>}
+        </div>
+      </div>
+      <div style={{...styles.adminCard, marginTop: '20px'}}>
+        <div style={styles.deficienciesHeader}>
+          <h3 style={{...styles.adminCardTitle, margin: 0}}>🕓 History</h3>
+          <select value={show} onChange={(e) => setShow(e.target.value)} style={styles.filterSelect}>{Object.entries(ITEM_TIMELINE_FILTERS).map(([value, label]) => (<option key={value} value={value}>{label}</option>))}</select>
+        </div>
+        {!canManage && <p style={styles.fieldHint}>Only your own checkouts of this item are listed.</p>}
+        {user.offline ? <p style={styles.listMessage}>History needs a connection. It will load when the kiosk is back online.</p> : !history ? <p style={styles.listMessage}>Loading...</p> : history.failed.length === 3 ? <p style={styles.listMessage}>Could not load the history. Check the connection and try again.</p> : events.length === 0 && history.failed.length === 0 ? <p style={styles.noAlerts}>Nothing recorded yet</p> : (
+          <>
+          {history.failed.length > 0 && <p style={styles.listMessage}>Could not load the {history.failed.map(part => ITEM_HISTORY_PARTS[part]).join(' or ')}. Check the connection and reopen the page to try again.</p>}
+          <div style={{...styles.timeline, marginTop: '16px'}}>{events.map(e => (
+            <div key={e.key} style={styles.timelineEntry}>
+              <span style={{...styles.timelineDot, backgroundColor: ITEM_EVENT_COLORS[e.kind]}}></span>
+              <p style={styles.timelineTitle}>{e.deficiency ? <button onClick={() => openDeficiency(e.deficiency)} style={styles.linkBtn}>{e.title}</button> : e.title}</p>
+              <p style={styles.alertDetail}>{format(parseISO(e.date), e.date.length > 10 ? 'MMM d, yyyy h:mm a' : 'MMM d, yyyy')}</p>
+              {e.details.map((d, i) => (<p key={i} style={styles.alertDetail}>{d}</p>))}
+              {e.photoKind && photos.some(p => p.checkout_id === e.checkoutId && p.kind === e.photoKind) && <PhotoStrip photos={photos.filter(p => p.checkout_id === e.checkoutId && p.kind === e.photoKind)} />}
+            </div>
+          ))}</div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+function DeficienciesTab({ deficiencies, page, photos, filters, setFilters, offline, equipment, categories, members, user, isAdmin, canWorkDeficiency, openDeficiency, exportDeficiencies }) {
+  const update = (changes) => setFilters({ ...filters, ...changes, page: 1 })
+  const assignees = Object.values(Object.fromEntries(deficiencies.filter(d => d.assignee).map(d => [d.assigned_to, { id: d.assigned_to, ...d.assignee }])))
+  const isDefault = Object.keys(DEFAULT_DEFICIENCY_FILTERS).every(key => ['sort', 'desc', 'page'].includes(key) || filters[key] === DEFAULT_DEFICIENCY_FILTERS[key])
   return (
     <div style={styles.deficienciesContainer}>
       <div style={styles.deficienciesHeader}><h2 style={styles.pageTitle}>Equipment Deficiencies</h2>{isAdmin && <button onClick={exportDeficiencies} style={styles.exportBtn}>📥 Export CSV</button>}</div>
+      <div style={{...styles.inventoryFilters, flexWrap: 'wrap'}}>
+        <input type="text" placeholder="Search descriptions..." value={filters.search} onChange={(e) => update({ search: e.target.value })} style={styles.searchInput} />
+        <select value={filters.status} onChange={(e) => update({ status: e.target.value })} style={styles.filterSelect}><option value="open">All open</option><option value="">All statuses</option>{Object.entries(DEFICIENCY_STATUSES).map(([value, st]) => (<option key={value} value={value}>{st.label}</option>))}</select>
+        <select value={filters.severity} onChange={(e) => update({ severity: e.target.value })} style={styles.filterSelect}><option value="">All severities</option><option value="minor">Minor</option><option value="major">Major</option></select>
+        <select value={filters.assignee} onChange={(e) => update({ assignee: e.target.value })} style={styles.filterSelect}><option value="">Anyone</option><option value="me">Assigned to me</option><option value="unassigned">Unassigned</option>{assignees.filter(a => a.id !== user.id).map(a => (<option key={a.id} value={a.id}>{a.first_name} {a.last_name}</option>))}</select>
+        {members.length > 0 && <select value={filters.member} onChange={(e) => update({ member: e.target.value })} style={styles.filterSelect}><option value="">Reported by anyone</option>{members.map(m => (<option key={m.id} value={m.id}>{m.last_name}, {m.first_name} (#{m.employee_number})</option>))}</select>}
+        <select value={filters.item} onChange={(e) => update({ item: e.target.value })} style={styles.filterSelect}><option value="">All equipment</option>{equipment.map(eq => (<option key={eq.id} value={eq.id}>{eq.equipment_code} - {eq.name}</option>))}</select>
+        <select value={filters.category} onChange={(e) => update({ category: e.target.value })} style={styles.filterSelect}><option value="">All categories</option>{categories.map(cat => (<option key={cat} value={cat}>{cat}</option>))}</select>
+        <input type="date" value={filters.from} onChange={(e) => update({ from: e.target.value })} style={styles.filterSelect} title="Reported from" />
+        <input type="date" value={filters.to} onChange={(e) => update({ to: e.target.value })} style={styles.filterSelect} title="Reported to" />
+        <select value={filters.sort} onChange={(e) => setFilters({ ...filters, sort: e.target.value, page: 1 })} style={styles.filterSelect}>{Object.entries(DEFICIENCY_SORTS).map(([value, sort]) => (<option key={value} value={value}>Sort: {sort.label}</option>))}</select>
+        <button onClick={() => setFilters({ ...filters, desc: !filters.desc, page: 1 })} style={styles.catBtn} title="Reverse the order">{filters.desc ? '▼ Descending' : '▲ Ascending'}</button>
+        {!isDefault && <button onClick={() => setFilters({ ...DEFAULT_DEFICIENCY_FILTERS, sort: filters.sort, desc: filters.desc })} style={styles.catBtn}>Clear filters</button>}
+      </div>
       <div style={styles.deficiencyList}>
-        {pending.length === 0 ? (<div style={styles.noDeficiencies}><span style={styles.noDefIcon}>✅</span><p>No pending deficiencies</p></div>) : pending.map(def => (
+        {page.loaded && page.rows.length === 0 && !offline && !page.error ? (<div style={styles.noDeficiencies}><span style={styles.noDefIcon}>✅</span><p>{isDefault ? 'No open deficiencies' : 'No deficiencies match these filters'}</p></div>) : page.rows.map(def => (
           <div key={def.id} style={styles.deficiencyCard}>
-            <div style={styles.defHeader}><span style={{...styles.severityBadge, backgroundColor: def.severity === 'major' ? '#fee2e2' : '#fef3c7', color: def.severity === 'major' ? '#dc2626' : '#d97706'}}>{def.severity.toUpperCase()}</span><span style={styles.defDate}>{def.reported_date}</span></div>
+            <div style={styles.defHeader}><span style={styles.defBadges}><span style={{...styles.severityBadge, backgroundColor: def.severity === 'major' ? '#fee2e2' : '#fef3c7', color: def.severity === 'major' ? '#dc2626' : '#d97706'}}>{def.severity.toUpperCase()}</span><span style={{...styles.severityBadge, backgroundColor: DEFICIENCY_STATUSES[def.status].bg, color: DEFICIENCY_STATUSES[def.status].color}}>{DEFICIENCY_STATUSES[def.status].label}</span></span><span style={styles.defDate}>{def.reported_date}</span></div>
             <h4 style={styles.defEquipment}>{def.eq_equipment?.name || 'Unknown'}</h4>
             <p style={styles.defDescription}>{def.description}</p>
-            <p style={styles.defReporter}>Reported by: {def.users?.first_name} {def.users?.last_name}</p>
-            {isAdmin && <button onClick={() => resolveDeficiency(def.id)} style={styles.resolveBtn}>Mark Resolved</button>}
+            <PhotoStrip photos={photos.filter(p => p.deficiency_id === def.id)} />
+            <p style={styles.defReporter}>Reported by: {fullName(def.users)}{def.assignee ? ` · Assigned to: ${def.assignee.first_name} ${def.assignee.last_name}` : ''}</p>
+            {def.resolution_notes && <p style={styles.defReporter}>Resolution: {def.resolution_notes}</p>}
+            <button onClick={() => openDeficiency(def)} style={styles.resolveBtn}>{canWorkDeficiency(def) ? 'Update' : 'Details'}</button>
           </div>
         ))}
       </div>
-      {resolved.length > 0 && (<><h3 style={styles.resolvedTitle}>Resolved Deficiencies</h3><div style={styles.resolvedList}>{resolved.slice(0, 10).map(def => (<div key={def.id} style={styles.resolvedCard}><span style={styles.resolvedEquip}>{def.eq_equipment?.name}</span><span style={styles.resolvedDesc}>{def.description}</span><span style={styles.resolvedDate}>{def.reported_date}</span></div>))}</div></>)}
+      {(offline || page.error) && <ListMessage page={page} offline={offline} />}
+      <Pager page={filters.page} count={page.count} onPage={(n) => setFilters({ ...filters, page: n })} />
+    </div>
+  )
+}
+
+function ReservationsTab({ equipment, reservations, openCheckouts, user, isAdmin, reservationForm, setReservationForm, handleCreateReservation, handleCancelReservation }) {
+  const [month, setMonth] = useState(startOfMonth(new Date()))
+  const item = equipment.find(eq => eq.id === reservationForm.equipmentId)
+  const itemReservations = item ? getUpcomingReservations(item.id, reservations) : []
+  const itemCheckouts = item ? openCheckouts.filter(c => c.equipment_id === item.id) : []
+  const conflicts = getReservationConflicts(reservationForm.equipmentId, reservationForm.startDate, reservationForm.endDate, reservations, openCheckouts)
+  const days = eachDayOfInterval({ start: startOfWeek(startOfMonth(month)), end: endOfWeek(endOfMonth(month)) })
+  const today = startOfDay(new Date())
+
+  const dayState = (day) => {
+    if (itemReservations.some(r => parseISO(r.start_date) <= day && parseISO(r.end_date) >= day)) return 'reserved'
+    if (itemCheckouts.some(c => startOfDay(parseISO(c.checkout_date)) <= day && (!c.expected_return || parseISO(c.expected_return) >= day))) return 'checked-out'
+    return null
+  }
+
+  const pickDay = (day) => {
+    if (day < today) return
+    const value = format(day, 'yyyy-MM-dd')
+    const { startDate, endDate } = reservationForm
+    if (!startDate || endDate || value < startDate) setReservationForm({ ...reservationForm, startDate: value, endDate: '' })
+    else setReservationForm({ ...reservationForm, endDate: value })
+  }
+
+  const inSelection = (day) => {
+    const { startDate, endDate } = reservationForm
+    if (!startDate) return false
+    const value = format(day, 'yyyy-MM-dd')
+    return value >= startDate && value <= (endDate || startDate)
+  }
+
+  return (
+    <div style={styles.reservationsContainer}>
+      <div style={styles.historyHeader}><h2 style={styles.pageTitle}>Reservations</h2></div>
+      <div style={styles.inventoryFilters}><select value={reservationForm.equipmentId} onChange={(e) => setReservationForm({ equipmentId: e.target.value, startDate: '', endDate: '', purpose: '' })} style={styles.filterSelect}><option value="">Select equipment to reserve...</option>{equipment.filter(eq => eq.status !== 'out-of-service').map(eq => (<option key={eq.id} value={eq.id}>{eq.equipment_code} - {eq.name} ({eq.category})</option>))}</select></div>
+      {!item ? (<div style={styles.noDeficiencies}><span style={styles.noDefIcon}>📅</span><p>Choose an item to see its calendar</p></div>) : (
+        <div style={styles.checkoutGrid}>
+          <div style={styles.equipmentList}>
+            <div style={styles.calendarHeader}><button onClick={() => setMonth(addMonths(month, -1))} style={styles.catBtn}>◀</button><h3 style={styles.sectionTitle}>{format(month, 'MMMM yyyy')}</h3><button onClick={() => setMonth(addMonths(month, 1))} style={styles.catBtn}>▶</button></div>
+            <div style={styles.calendarGrid}>
+              {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map(d => (<div key={d} style={styles.calendarWeekday}>{d}</div>))}
+              {days.map(day => { const state = dayState(day); const selected = inSelection(day); return (
+                <div key={day.toISOString()} onClick={() => pickDay(day)} style={{...styles.calendarDay, opacity: isSameMonth(day, month) ? 1 : 0.4, cursor: day < today ? 'default' : 'pointer', backgroundColor: selected ? '#bfdbfe' : state === 'reserved' ? '#ede9fe' : state === 'checked-out' ? '#fef3c7' : '#fff', fontWeight: isSameDay(day, today) ? '700' : '400'}}>{format(day, 'd')}</div>
+              )})}
+            </div>
+            <div style={styles.calendarLegend}><span><span style={{...styles.statDot, display: 'inline-block', backgroundColor: '#8b5cf6'}}></span> Reserved</span><span><span style={{...styles.statDot, display: 'inline-block', backgroundColor: '#f59e0b'}}></span> Checked out</span><span><span style={{...styles.statDot, display: 'inline-block', backgroundColor: '#3b82f6'}}></span> Your selection</span></div>
+          </div>
+          <div style={styles.actionPanel}>
+            <div style={styles.formSection}>
+              <h4 style={styles.formTitle}>Reserve {item.name}</h4>
+              <div style={styles.formGroup}><label style={styles.label}>Start Date</label><input type="date" value={reservationForm.startDate} onChange={(e) => setReservationForm({...reservationForm, startDate: e.target.value})} style={styles.input} min={format(today, 'yyyy-MM-dd')} /></div>
+              <div style={styles.formGroup}><label style={styles.label}>End Date</label><input type="date" value={reservationForm.endDate} onChange={(e) => setReservationForm({...reservationForm, endDate: e.target.value})} style={styles.input} min={reservationForm.startDate || format(today, 'yyyy-MM-dd')} /></div>
+              <div style={styles.formGroup}><label style={styles.label}>Purpose</label><input type="text" value={reservationForm.purpose} onChange={(e) => setReservationForm({...reservationForm, purpose: e.target.value})} placeholder="e.g., Fall turkey shoot" style={styles.input} /></div>
+              {conflicts.length > 0 && (<div style={styles.reservationBlock}>⛔ These dates conflict with:{conflicts.map(c => (<div key={c.id}>• {c.label}</div>))}</div>)}
+              <button onClick={handleCreateReservation} style={conflicts.length > 0 || !reservationForm.startDate || !reservationForm.endDate ? styles.checkoutBtnDisabled : styles.checkoutBtn} disabled={conflicts.length > 0 || !reservationForm.startDate || !reservationForm.endDate}>📅 Reserve</button>
+            </div>
+            <h4 style={styles.resolvedTitle}>Upcoming Reservations</h4>
+            {itemReservations.length === 0 ? <p style={styles.noAlerts}>No upcoming reservations</p> : (
+              <div style={styles.resolvedList}>{itemReservations.map(r => (<div key={r.id} style={styles.resolvedCard}><span style={styles.resolvedEquip}>{r.start_date} → {r.end_date}</span><span style={styles.resolvedDesc}>{fullName(r.users)}{r.purpose ? ` — ${r.purpose}` : ''}</span>{(isAdmin || r.user_id === user.id) && <button onClick={() => handleCancelReservation(r.id)} style={styles.qrBtn}>Cancel</button>}</div>))}</div>
+            )}
+          </div>
+        </div>
+      )}
     </div>
   )
 }
 
-function HistoryTab({ checkouts, exportCheckoutHistory, isAdmin }) {
+// Members only get their own checkouts back from RLS, so the Member column and filter are dropped for them
+function HistoryTab({ page, filters, setFilters, offline, equipment, categories, members, exportCheckoutHistory, showMembers }) {
+  const update = (changes) => setFilters({ ...filters, ...changes, page: 1 })
+  const sortProps = { filters, setFilters }
+  const isDefault = Object.keys(DEFAULT_HISTORY_FILTERS).every(key => ['sort', 'desc', 'page'].includes(key) || filters[key] === DEFAULT_HISTORY_FILTERS[key])
   return (
     <div style={styles.historyContainer}>
-      <div style={styles.historyHeader}><h2 style={styles.pageTitle}>Checkout History</h2>{isAdmin && <button onClick={exportCheckoutHistory} style={styles.exportBtn}>📥 Export CSV</button>}</div>
+      <div style={styles.historyHeader}><h2 style={styles.pageTitle}>{showMembers ? 'Checkout History' : 'My Checkout History'}</h2>{showMembers && <button onClick={exportCheckoutHistory} style={styles.exportBtn}>📥 Export CSV</button>}</div>
+      <div style={{...styles.inventoryFilters, flexWrap: 'wrap'}}>
+        {showMembers && <select value={filters.member} onChange={(e) => update({ member: e.target.value })} style={styles.filterSelect}><option value="">All members</option>{members.map(m => (<option key={m.id} value={m.id}>{m.last_name}, {m.first_name} (#{m.employee_number})</option>))}</select>}
+        <select value={filters.item} onChange={(e) => update({ item: e.target.value })} style={styles.filterSelect}><option value="">All equipment</option>{equipment.map(eq => (<option key={eq.id} value={eq.id}>{eq.equipment_code} - {eq.name}</option>))}</select>
+        <select value={filters.category} onChange={(e) => update({ category: e.target.value })} style={styles.filterSelect}><option value="">All categories</option>{categories.map(cat => (<option key={cat} value={cat}>{cat}</option>))}</select>
+        <select value={filters.useType} onChange={(e) => update({ useType: e.target.value })} style={styles.filterSelect}><option value="">Club and personal</option><option value="club">Club</option><option value="personal">Personal</option></select>
+        <input type="date" value={filters.from} onChange={(e) => update({ from: e.target.value })} style={styles.filterSelect} title="Checked out from" />
+        <input type="date" value={filters.to} onChange={(e) => update({ to: e.target.value })} style={styles.filterSelect} title="Checked out to" />
+        <label style={styles.checkboxLabel}><input type="checkbox" checked={filters.overdue} onChange={(e) => update({ overdue: e.target.checked })} /> Overdue only</label>
+        {!isDefault && <button onClick={() => setFilters({ ...DEFAULT_HISTORY_FILTERS, sort: filters.sort, desc: filters.desc })} style={styles.catBtn}>Clear filters</button>}
+      </div>
       <div style={styles.historyTable}>
         <table style={styles.table}>
-          <thead><tr><th style={styles.th}>Equipment</th><th style={styles.th}>Member</th><th style={styles.th}>Use Type</th><th style={styles.th}>Purpose</th><th style={styles.th}>Checkout</th><th style={styles.th}>Expected</th><th style={styles.th}>Returned</th><th style={styles.th}>Status</th></tr></thead>
-          <tbody>{checkouts.map(c => { const isOverdue = !c.return_date && c.expected_return && isPast(parseISO(c.expected_return)); return (
-            <tr key={c.id} style={{...styles.tr, backgroundColor: isOverdue ? '#fef2f2' : 'transparent'}}><td style={styles.td}>{c.eq_equipment?.name}</td><td style={styles.td}>{c.users?.first_name} {c.users?.last_name}</td><td style={styles.td}><span style={{...styles.useTypeBadge, backgroundColor: c.use_type === 'club' ? '#dbeafe' : '#fce7f3', color: c.use_type === 'club' ? '#1d4ed8' : '#be185d'}}>{c.use_type === 'club' ? 'Club' : 'Personal'}</span></td><td style={styles.td}>{c.purpose || '—'}</td><td style={styles.td}>{c.checkout_date ? format(parseISO(c.checkout_date), 'MMM d, yyyy') : '—'}</td><td style={styles.td}>{c.expected_return || '—'}</td><td style={styles.td}>{c.return_date ? format(parseISO(c.return_date), 'MMM d, yyyy') : '—'}</td><td style={styles.td}>{c.return_date ? <span style={styles.returnedBadge}>Returned</span> : isOverdue ? <span style={styles.overdueBadge}>Overdue</span> : <span style={styles.outBadge}>Out</span>}</td></tr>
+          <thead><tr><SortableTh label="Equipment" column="equipment" {...sortProps} />{showMembers && <SortableTh label="Member" column="member" {...sortProps} />}<SortableTh label="Use Type" column="useType" {...sortProps} /><th style={styles.th}>Purpose</th><SortableTh label="Checkout" column="checkout" {...sortProps} /><SortableTh label="Expected" column="expected" {...sortProps} /><SortableTh label="Returned" column="returned" {...sortProps} /><th style={styles.th}>Status</th></tr></thead>
+          <tbody>{page.rows.map(c => { const isOverdue = !c.return_date && c.expected_return && isPast(parseISO(c.expected_return)); return (
+            <tr key={c.id} style={{...styles.tr, backgroundColor: isOverdue ? '#fef2f2' : 'transparent'}}><td style={styles.td}>{c.eq_equipment?.name}</td>{showMembers && <td style={styles.td}>{c.users?.first_name} {c.users?.last_name}</td>}<td style={styles.td}><span style={{...styles.useTypeBadge, backgroundColor: c.use_type === 'club' ? '#dbeafe' : '#fce7f3', color: c.use_type === 'club' ? '#1d4ed8' : '#be185d'}}>{c.use_type === 'club' ? 'Club' : 'Personal'}</span></td><td style={styles.td}>{c.purpose || '—'}</td><td style={styles.td}>{c.checkout_date ? format(parseISO(c.checkout_date), 'MMM d, yyyy') : '—'}</td><td style={styles.td}>{c.expected_return || '—'}</td><td style={styles.td}>{c.return_date ? format(parseISO(c.return_date), 'MMM d, yyyy') : '—'}</td><td style={styles.td}>{c.return_date ? <span style={styles.returnedBadge}>Returned</span> : isOverdue ? <span style={styles.overdueBadge}>Overdue</span> : <span style={styles.outBadge}>Out</span>}</td></tr>
           )})}</tbody>
         </table>
+        <ListMessage page={page} offline={offline} empty={isDefault ? 'No checkouts yet' : 'No checkouts match these filters'} />
       </div>
+      <Pager page={filters.page} count={page.count} onPage={(n) => setFilters({ ...filters, page: n })} />
     </div>
   )
 }
 
-function AlertsTab({ overdueCheckouts, maintenanceDue, deficiencies, handleUpdateMaintenance }) {
+function AlertsTab({ overdueCheckouts, maintenanceDue, deficiencies, openMaintenance, openDeficiency, pendingExtensions, pendingCheckoutRequests, equipment, categories, checkoutSettings, reservations, handleDecideExtension, handleDecideCheckoutRequest, offlineConflicts, handleResolveOfflineConflict }) {
   const pending = deficiencies.filter(d => d.status === 'pending')
   return (
     <div style={styles.alertsContainer}>
       <h2 style={styles.pageTitle}>🔔 Alerts & Notifications</h2>
+      {offlineConflicts.length > 0 && (
+        <div style={styles.alertSection}>
+          <h3 style={styles.alertSectionTitle}><span style={styles.alertIcon}>📶</span>Offline Kiosk Conflicts ({offlineConflicts.length})</h3>
+          <p style={styles.adminDesc}>These were done on a kiosk while it was offline but could not be applied when it synced. Check the shed, fix the records by hand, then mark them resolved.</p>
+          <div style={styles.alertList}>{offlineConflicts.map(op => (
+            <div key={op.id} style={styles.alertCard}>
+              <div style={styles.alertCardHeader}><span style={styles.alertEquipment}>{describeOfflineOp(op, equipment)}</span><span style={styles.defDate}>{format(parseISO(op.queued_at), 'MMM d, h:mm a')}</span></div>
+              <p style={styles.alertDetail}>Member: <strong>{op.users ? `${op.users.first_name} ${op.users.last_name} (#${op.users.employee_number})` : 'Unknown member'}</strong> · {op.eq_kiosk_devices?.name}</p>
+              <div style={styles.reservationBlock}>⛔ {getRpcErrorMessage({ message: op.error_code, details: op.error_detail }, op.error_code)}</div>
+              <button onClick={() => handleResolveOfflineConflict(op)} style={styles.markMaintainedBtn}>Mark Resolved</button>
+            </div>
+          ))}</div>
+        </div>
+      )}
+      {pendingCheckoutRequests.length > 0 && (
+        <div style={styles.alertSection}>
+          <h3 style={styles.alertSectionTitle}><span style={styles.alertIcon}>🔒</span>Checkout Requests ({pendingCheckoutRequests.length})</h3>
+          <div style={styles.alertList}>{pendingCheckoutRequests.map(r => { const item = equipment.find(eq => eq.id === r.equipment_id); const reason = item && getApprovalReason(item, categories, r.use_type, checkoutSettings); const conflict = getBlockingReservation(r.equipment_id, r.user_id, r.expected_return, reservations); const unavailable = item && item.status !== 'available'; return (
+            <div key={r.id} style={styles.alertCard}>
+              <div style={styles.alertCardHeader}><span style={styles.alertEquipment}>{r.eq_equipment?.name}</span>{reason && <span style={styles.approvalBadge}>{reason}</span>}</div>
+              <p style={styles.alertDetail}>Member: <strong>{r.users?.first_name} {r.users?.last_name}</strong> (#{r.users?.employee_number})</p>
+              <p style={styles.alertDetail}>{r.use_type === 'club' ? 'Club Work' : 'Personal Use'} · {r.expected_return ? `until ${r.expected_return}` : 'no return date'} · requested {format(parseISO(r.created_at), 'MMM d, h:mm a')}</p>
+              {r.purpose && <p style={styles.alertDetail}>Purpose: {r.purpose}</p>}
+              {unavailable && <div style={styles.reservationBlock}>⛔ Currently {item.status.replace('-', ' ')}</div>}
+              {conflict && <div style={styles.reservationBlock}>⛔ Reserved from {conflict.start_date} by {fullName(conflict.users)}</div>}
+              <div style={styles.rowActions}><button onClick={() => handleDecideCheckoutRequest(r, true)} style={styles.markMaintainedBtn} disabled={!!conflict || unavailable}>✅ Approve & Check Out</button><button onClick={() => handleDecideCheckoutRequest(r, false)} style={styles.qrBtn}>Deny</button></div>
+            </div>
+          )})}</div>
+        </div>
+      )}
+      {pendingExtensions.length > 0 && (
+        <div style={styles.alertSection}>
+          <h3 style={styles.alertSectionTitle}><span style={styles.alertIcon}>📆</span>Extension Requests ({pendingExtensions.length})</h3>
+          <div style={styles.alertList}>{pendingExtensions.map(r => { const conflict = getBlockingReservation(r.eq_checkouts?.equipment_id, r.user_id, r.requested_return, reservations); return (
+            <div key={r.id} style={styles.alertCard}>
+              <div style={styles.alertCardHeader}><span style={styles.alertEquipment}>{r.eq_checkouts?.eq_equipment?.name}</span><span style={styles.defDate}>{format(parseISO(r.created_at), 'MMM d')}</span></div>
+              <p style={styles.alertDetail}>Member: <strong>{r.users?.first_name} {r.users?.last_name}</strong></p>
+              <p style={styles.alertDetail}>Due {r.eq_checkouts?.expected_return || '—'} → requested {r.requested_return}</p>
+              {r.reason && <p style={styles.alertDetail}>Reason: {r.reason}</p>}
+              {conflict && <div style={styles.reservationBlock}>⛔ Reserved from {conflict.start_date} by {fullName(conflict.users)}</div>}
+              <div style={styles.rowActions}><button onClick={() => handleDecideExtension(r, true)} style={styles.markMaintainedBtn} disabled={!!conflict}>✅ Approve</button><button onClick={() => handleDecideExtension(r, false)} style={styles.qrBtn}>Deny</button></div>
+            </div>
+          )})}</div>
+        </div>
+      )}
       <div style={styles.alertSection}>
         <h3 style={styles.alertSectionTitle}><span style={styles.alertIcon}>⏰</span>Overdue Checkouts ({overdueCheckouts.length})</h3>
         {overdueCheckouts.length === 0 ? <p style={styles.noAlerts}>No overdue checkouts</p> : (
@@ -678,40 +2728,209 @@ function AlertsTab({ overdueCheckouts, maintenanceDue, deficiencies, handleUpdat
       <div style={styles.alertSection}>
         <h3 style={styles.alertSectionTitle}><span style={styles.alertIcon}>🔧</span>Maintenance Due ({maintenanceDue.length})</h3>
         {maintenanceDue.length === 0 ? <p style={styles.noAlerts}>No maintenance due</p> : (
-          <div style={styles.alertList}>{maintenanceDue.map(eq => (<div key={eq.id} style={styles.alertCard}><div style={styles.alertCardHeader}><span style={styles.alertEquipment}>{eq.name}</span><span style={{...styles.maintenanceStatus, backgroundColor: eq.neverMaintained ? '#fee2e2' : eq.daysPastDue > 0 ? '#fef3c7' : '#dcfce7', color: eq.neverMaintained ? '#dc2626' : eq.daysPastDue > 0 ? '#d97706' : '#16a34a'}}>{eq.neverMaintained ? 'Never Done' : eq.daysPastDue > 0 ? `${eq.daysPastDue} days overdue` : 'Due Soon'}</span></div><p style={styles.alertDetail}>Category: {eq.category}</p><p style={styles.alertDetail}>Last maintenance: {eq.last_maintenance ? format(parseISO(eq.last_maintenance), 'MMM d, yyyy') : 'Never'}</p><p style={styles.alertDetail}>Interval: Every {MAINTENANCE_INTERVALS[eq.category]} days</p><button onClick={() => handleUpdateMaintenance(eq.id)} style={styles.markMaintainedBtn}>✓ Mark Maintained Today</button></div>))}</div>
+          <div style={styles.alertList}>{maintenanceDue.map(eq => { const first = eq.triggers.find(t => t.overdue) || eq.triggers[0]; return (<div key={eq.id} style={styles.alertCard}><div style={styles.alertCardHeader}><span style={styles.alertEquipment}>{eq.name}</span><span style={{...styles.maintenanceStatus, backgroundColor: eq.neverMaintained ? '#fee2e2' : first.overdue ? '#fef3c7' : '#dcfce7', color: eq.neverMaintained ? '#dc2626' : first.overdue ? '#d97706' : '#16a34a'}}>{first.label}</span></div><p style={styles.alertDetail}>Category: {eq.category}</p><p style={styles.alertDetail}>Last maintenance: {eq.last_maintenance ? format(parseISO(eq.last_maintenance), 'MMM d, yyyy') : 'Never'}</p>{eq.maintenanceInterval && <p style={styles.alertDetail}>Interval: Every {eq.maintenanceInterval} days{eq.maintenance_interval_days ? ' (item override)' : ''}</p>}{eq.service_every_hours && <p style={styles.alertDetail}>Engine hours: {eq.hoursSinceService ?? 0} of {eq.service_every_hours} since service</p>}{eq.service_every_uses && <p style={styles.alertDetail}>Checkouts: {eq.usesSinceService ?? 0} of {eq.service_every_uses} since service</p>}<button onClick={() => openMaintenance(eq, true)} style={styles.markMaintainedBtn}>🔧 Log Service</button></div>) })}</div>
         )}
       </div>
       <div style={styles.alertSection}>
         <h3 style={styles.alertSectionTitle}><span style={styles.alertIcon}>⚠️</span>Pending Deficiencies ({pending.length})</h3>
         {pending.length === 0 ? <p style={styles.noAlerts}>No pending deficiencies</p> : (
-          <div style={styles.alertList}>{pending.slice(0, 5).map(def => (<div key={def.id} style={styles.alertCard}><div style={styles.alertCardHeader}><span style={styles.alertEquipment}>{def.eq_equipment?.name}</span><span style={{...styles.severityBadge, backgroundColor: def.severity === 'major' ? '#fee2e2' : '#fef3c7', color: def.severity === 'major' ? '#dc2626' : '#d97706'}}>{def.severity.toUpperCase()}</span></div><p style={styles.alertDetail}>{def.description}</p><p style={styles.alertDetail}>Reported: {def.reported_date}</p></div>))}{pending.length > 5 && <p style={styles.moreAlerts}>+ {pending.length - 5} more deficiencies</p>}</div>
+          <div style={styles.alertList}>{pending.slice(0, 5).map(def => (<div key={def.id} style={styles.alertCard}><div style={styles.alertCardHeader}><span style={styles.alertEquipment}>{def.eq_equipment?.name}</span><span style={{...styles.severityBadge, backgroundColor: def.severity === 'major' ? '#fee2e2' : '#fef3c7', color: def.severity === 'major' ? '#dc2626' : '#d97706'}}>{def.severity.toUpperCase()}</span></div><p style={styles.alertDetail}>{def.description}</p><p style={styles.alertDetail}>Reported: {def.reported_date}</p><button onClick={() => openDeficiency(def)} style={styles.markMaintainedBtn}>Acknowledge / Assign</button></div>))}{pending.length > 5 && <p style={styles.moreAlerts}>+ {pending.length - 5} more deficiencies</p>}</div>
         )}
       </div>
     </div>
   )
 }
 
-function AdminTab({ equipment, checkouts, deficiencies, newEquipment, setNewEquipment, handleAddEquipment, exportEquipmentList, exportCheckoutHistory, exportDeficiencies, exportMaintenanceSchedule }) {
+// Usage over a date range, to back decisions on buying or retiring gear. Everything is summed by equipment_analytics().
+function AnalyticsTab({ analytics, range, setRange, isChair, exportEquipmentUsage }) {
+  const year = new Date().getFullYear()
+  const presets = [
+    { label: 'Last 12 months', ...defaultAnalyticsRange() },
+    { label: 'This year', from: `${year}-01-01`, to: format(new Date(), 'yyyy-MM-dd') },
+    { label: 'Last year', from: `${year - 1}-01-01`, to: `${year - 1}-12-31` },
+    { label: 'Last 3 years', from: `${year - 2}-01-01`, to: format(new Date(), 'yyyy-MM-dd') }
+  ]
+  const invalidRange = !range.from || !range.to || range.from > range.to
+  // A result for another range is stale: the chosen range is still loading (or an earlier load came back late)
+  const loaded = analytics && analytics.range.from === range.from && analytics.range.to === range.to
+
+  const header = (
+    <>
+      <div style={styles.historyHeader}><h2 style={styles.pageTitle}>Usage Analytics</h2>{loaded && !analytics.error && <button onClick={exportEquipmentUsage} style={styles.exportBtn}>📥 Export Item Usage</button>}</div>
+      <div style={{...styles.inventoryFilters, flexWrap: 'wrap', alignItems: 'center'}}>
+        <input type="date" value={range.from} onChange={(e) => setRange({ ...range, from: e.target.value })} style={styles.filterSelect} title="From" />
+        <span style={styles.defDate}>to</span>
+        <input type="date" value={range.to} onChange={(e) => setRange({ ...range, to: e.target.value })} style={styles.filterSelect} title="To" />
+        {presets.map(p => (<button key={p.label} onClick={() => setRange({ from: p.from, to: p.to })} style={range.from === p.from && range.to === p.to ? styles.catBtnActive : styles.catBtn}>{p.label}</button>))}
+      </div>
+      {!isChair && <p style={styles.adminDesc}>Showing the categories you manage.</p>}
+    </>
+  )
+  if (invalidRange) return <div style={styles.historyContainer}>{header}<p style={styles.listMessage}>Choose a start date on or before the end date.</p></div>
+  if (!loaded) return <div style={styles.historyContainer}>{header}<p style={styles.listMessage}>Loading…</p></div>
+  if (analytics.error) return <div style={styles.historyContainer}>{header}<p style={styles.listMessage}>Could not load analytics for this range.</p></div>
+
+  const items = analytics.equipment
+  const useTypes = Object.fromEntries(['club', 'personal'].map(type => [type, analytics.use_types.find(u => u.use_type === type) || { checkouts: 0, days: 0 }]))
+  const totalCheckouts = useTypes.club.checkouts + useTypes.personal.checkouts
+  const totalDays = Number(useTypes.club.days) + Number(useTypes.personal.days)
+  const totalDeficiencies = analytics.months.reduce((sum, m) => sum + m.deficiencies, 0)
+  const onTime = analytics.members.reduce((sum, m) => sum + m.on_time, 0)
+  const judged = analytics.members.reduce((sum, m) => sum + m.on_time + m.late, 0)
+  const share = (n) => totalCheckouts ? Math.round((n / totalCheckouts) * 100) : 0
+  const percent = (n) => `${Math.round(n * 100)}%`
+
+  const itemRow = (i, value, text) => ({ key: i.id, label: `${i.equipment_code} ${i.name}`, value, text, title: `${i.name} (${i.category}): ${i.checkouts} checkouts, ${i.days_out} days out` })
+  const mostUsed = items.filter(i => i.checkouts > 0).slice(0, ANALYTICS_TOP_ITEMS).map(i => itemRow(i, i.checkouts))
+  const leastUsed = items.filter(i => !i.retired).sort((a, b) => a.checkouts - b.checkouts || a.days_out - b.days_out).slice(0, ANALYTICS_TOP_ITEMS).map(i => itemRow(i, i.checkouts, i.checkouts === 0 ? 'never' : i.checkouts))
+  const durations = analytics.categories.filter(c => c.avg_days !== null).map(c => ({ key: c.category, label: c.category, value: Number(c.avg_days), text: `${c.avg_days} d`, title: `${c.checkouts} checkouts` }))
+  const memberRates = analytics.members.filter(m => m.on_time + m.late > 0).map(m => ({ ...m, rate: m.on_time / (m.on_time + m.late) })).sort((a, b) => a.rate - b.rate || b.late - a.late)
+  // Items reported with no checkouts in the range sort first: every use produced a problem
+  const deficiencyRates = items.filter(i => i.deficiencies > 0).map(i => ({ ...i, rate: i.checkouts ? i.deficiencies / i.checkouts : Infinity })).sort((a, b) => b.rate - a.rate || b.deficiencies - a.deficiencies)
+
+  const multiYear = analytics.months.length > 12
+  const months = analytics.months.map(m => ({ ...m, key: m.month, label: format(parseISO(`${m.month}-01`), multiYear ? 'MMM yy' : 'MMM') }))
+  // Over more than a year, fold the months together to show the season rather than the timeline
+  const seasons = multiYear ? Array.from({ length: 12 }, (_, i) => {
+    const same = analytics.months.filter(m => parseInt(m.month.slice(5)) === i + 1)
+    return { key: i, label: format(new Date(2000, i, 1), 'MMM'), club: same.reduce((sum, m) => sum + m.club, 0), personal: same.reduce((sum, m) => sum + m.personal, 0), deficiencies: same.reduce((sum, m) => sum + m.deficiencies, 0) }
+  }) : null
+
+  return (
+    <div style={styles.historyContainer}>
+      {header}
+      <div style={styles.analyticsSummary}>
+        <div style={styles.analyticsStat}><strong style={styles.analyticsStatValue}>{totalCheckouts}</strong>Checkouts</div>
+        <div style={styles.analyticsStat}><strong style={styles.analyticsStatValue}>{Math.round(totalDays)}</strong>Days out</div>
+        <div style={styles.analyticsStat}><strong style={styles.analyticsStatValue}>{items.filter(i => i.checkouts === 0 && !i.retired).length}</strong>Items never used</div>
+        <div style={styles.analyticsStat}><strong style={styles.analyticsStatValue}>{judged ? percent(onTime / judged) : '—'}</strong>Returned on time</div>
+        <div style={styles.analyticsStat}><strong style={styles.analyticsStatValue}>{totalDeficiencies}</strong>Deficiencies reported</div>
+      </div>
+      <div style={styles.adminGrid}>
+        <div style={{...styles.adminCard, gridColumn: '1 / -1'}}>
+          <h3 style={styles.adminCardTitle}>📅 Checkouts by Month</h3>
+          <MonthChart months={months} />
+          {seasons && (<><h3 style={{...styles.adminCardTitle, marginTop: '24px'}}>🍂 By Time of Year (all years in the range)</h3><MonthChart months={seasons} /></>)}
+          <div style={styles.calendarLegend}><span><span style={{...styles.statDot, display: 'inline-block', backgroundColor: USE_TYPE_COLORS.club}}></span> Club</span><span><span style={{...styles.statDot, display: 'inline-block', backgroundColor: USE_TYPE_COLORS.personal}}></span> Personal</span><span>⚠ Deficiencies reported</span></div>
+        </div>
+        <div style={styles.adminCard}>
+          <h3 style={styles.adminCardTitle}>🔝 Most Used</h3>
+          <BarList rows={mostUsed} empty="No checkouts in this range" />
+        </div>
+        <div style={styles.adminCard}>
+          <h3 style={styles.adminCardTitle}>💤 Least Used</h3>
+          <p style={styles.adminDesc}>Items in service with the fewest checkouts: candidates to retire or move.</p>
+          <BarList rows={leastUsed} empty="No equipment in service" />
+        </div>
+        <div style={styles.adminCard}>
+          <h3 style={styles.adminCardTitle}>⏱️ Average Checkout Length by Category</h3>
+          <BarList rows={durations} empty="No returned checkouts in this range" />
+        </div>
+        <div style={styles.adminCard}>
+          <h3 style={styles.adminCardTitle}>⚖️ Club vs. Personal Use</h3>
+          {totalCheckouts === 0 ? <p style={styles.listMessage}>No checkouts in this range</p> : (
+            <>
+              <div style={styles.splitBar}><div style={{ width: `${share(useTypes.club.checkouts)}%`, backgroundColor: USE_TYPE_COLORS.club }} /><div style={{ flex: 1, backgroundColor: USE_TYPE_COLORS.personal }} /></div>
+              <div style={styles.statsList}>
+                {['club', 'personal'].map(type => (<div key={type} style={styles.statRow}><span><span style={{...styles.statDot, display: 'inline-block', backgroundColor: USE_TYPE_COLORS[type]}}></span> {type === 'club' ? 'Club work' : 'Personal'}</span><strong>{useTypes[type].checkouts} checkouts ({share(useTypes[type].checkouts)}%) · {Math.round(useTypes[type].days)} days</strong></div>))}
+              </div>
+            </>
+          )}
+        </div>
+        <div style={styles.adminCard}>
+          <h3 style={styles.adminCardTitle}>🕒 On-Time Returns by Member</h3>
+          <p style={styles.adminDesc}>Checkouts with an expected return date. Late means returned after it, or still out past it. Lowest rates first.</p>
+          {memberRates.length === 0 ? <p style={styles.listMessage}>No checkouts with a return date in this range</p> : (
+            <div style={styles.analyticsScroll}>
+              <table style={styles.table}>
+                <thead><tr><th style={styles.th}>Member</th><th style={styles.th}>On Time</th><th style={styles.th}>Late</th><th style={styles.th}>Rate</th></tr></thead>
+                <tbody>{memberRates.map(m => (<tr key={m.user_id} style={styles.tr}><td style={styles.td}>{m.first_name} {m.last_name} <span style={styles.defDate}>#{m.employee_number}</span></td><td style={styles.td}>{m.on_time}</td><td style={styles.td}>{m.late}</td><td style={{...styles.td, fontWeight: '600', color: m.rate < 0.75 ? '#dc2626' : '#16a34a'}}>{percent(m.rate)}</td></tr>))}</tbody>
+              </table>
+            </div>
+          )}
+        </div>
+        <div style={styles.adminCard}>
+          <h3 style={styles.adminCardTitle}>⚠️ Deficiency Rate by Item</h3>
+          <p style={styles.adminDesc}>Deficiencies reported per checkout in the range. High rates point at gear to repair or replace.</p>
+          {deficiencyRates.length === 0 ? <p style={styles.noAlerts}>No deficiencies reported in this range</p> : (
+            <div style={styles.analyticsScroll}>
+              <table style={styles.table}>
+                <thead><tr><th style={styles.th}>Item</th><th style={styles.th}>Checkouts</th><th style={styles.th}>Issues</th><th style={styles.th}>Per Checkout</th></tr></thead>
+                <tbody>{deficiencyRates.map(i => (<tr key={i.id} style={styles.tr}><td style={styles.td}>{i.equipment_code} {i.name}</td><td style={styles.td}>{i.checkouts}</td><td style={styles.td}>{i.deficiencies}</td><td style={{...styles.td, fontWeight: '600'}}>{i.checkouts ? i.rate.toFixed(2) : '—'}</td></tr>))}</tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+// Horizontal bars scaled to the largest value in the list; text overrides the number shown at the end
+function BarList({ rows, empty }) {
+  if (rows.length === 0) return <p style={styles.listMessage}>{empty}</p>
+  const max = Math.max(...rows.map(r => r.value), 1)
+  return (
+    <div style={styles.statsList}>
+      {rows.map(r => (
+        <div key={r.key} style={styles.barRow} title={r.title}>
+          <span style={styles.barLabel}>{r.label}</span>
+          <span style={styles.barTrack}><span style={{...styles.barFill, width: `${(r.value / max) * 100}%`}} /></span>
+          <span style={styles.barValue}>{r.text ?? r.value}</span>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+// One stacked column per month (club under personal), with the month's deficiency count above it
+function MonthChart({ months }) {
+  const max = Math.max(...months.map(m => m.club + m.personal), 1)
+  return (
+    <div style={styles.monthChart}>
+      {months.map(m => (
+        <div key={m.key} style={styles.monthColumn} title={`${m.label}: ${m.club} club, ${m.personal} personal, ${m.deficiencies} deficiencies`}>
+          <span style={styles.monthDeficiencies}>{m.deficiencies > 0 ? `⚠${m.deficiencies}` : ''}</span>
+          <div style={styles.monthBars}>
+            <div style={{ height: `${(m.personal / max) * 100}%`, backgroundColor: USE_TYPE_COLORS.personal }} />
+            <div style={{ height: `${(m.club / max) * 100}%`, backgroundColor: USE_TYPE_COLORS.club }} />
+          </div>
+          <span style={styles.monthLabel}>{m.label}</span>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+function AdminTab({ isChair, categories, managedCategories, categoryForm, setCategoryForm, handleAddCategory, handleUpdateCategoryInterval, handleUpdateCategoryFlags, handleDeleteCategory, checkoutSettings, handleUpdateCheckoutSettings, certifications, certificationForm, setCertificationForm, handleAddCertification, renewCertification, handleDeleteCertification, equipment, allEquipment, openEquipmentEditor, checkoutCount, deficiencies, newEquipment, setNewEquipment, handleAddEquipment, handleImportEquipment, inventory, handlePrintLabels, exportEquipmentList, exportCheckoutHistory, exportDeficiencies, exportMaintenanceSchedule, exportMaintenanceLog, kioskDevices, kioskSetupLink, setKioskSetupLink, handleRegisterKiosk, handleRevokeKiosk, pinForm, setPinForm, handleSetMemberPin, members, memberRoles, roleForm, setRoleForm, handleAddMemberRole, handleRemoveMemberRole, auditLog, auditFilters, setAuditFilters }) {
+  const memberName = (r) => r.users ? `${r.users.first_name} ${r.users.last_name}` : 'Unknown member'
   return (
     <div style={styles.adminContainer}>
       <h2 style={styles.pageTitle}>Administration</h2>
+      {!isChair && <p style={styles.adminDesc}>You are category chair for {managedCategories.join(', ')}. Items and reports below cover those categories only.</p>}
       <div style={styles.adminGrid}>
         <div style={styles.adminCard}>
           <h3 style={styles.adminCardTitle}>➕ Add New Equipment</h3>
           <div style={styles.formGroup}><label style={styles.label}>Equipment Name</label><input type="text" value={newEquipment.name} onChange={(e) => setNewEquipment({...newEquipment, name: e.target.value})} placeholder="e.g., Craftsman Table Saw" style={styles.input} /></div>
-          <div style={styles.formGroup}><label style={styles.label}>Category</label><select value={newEquipment.category} onChange={(e) => setNewEquipment({...newEquipment, category: e.target.value})} style={styles.select}>{CATEGORIES.filter(c => c !== 'All').map(cat => (<option key={cat} value={cat}>{cat}</option>))}</select></div>
+          <div style={styles.formGroup}><label style={styles.label}>Category</label><select value={newEquipment.category} onChange={(e) => setNewEquipment({...newEquipment, category: e.target.value})} style={styles.select}><option value="">Select category...</option>{categories.filter(c => managedCategories.includes(c.name)).map(c => (<option key={c.name} value={c.name}>{c.name}</option>))}</select></div>
           <div style={styles.formGroup}><label style={styles.label}>Storage Location</label><input type="text" value={newEquipment.location} onChange={(e) => setNewEquipment({...newEquipment, location: e.target.value})} placeholder="e.g., Shed A, Workshop" style={styles.input} /></div>
           <div style={styles.formGroup}><label style={styles.label}>Notes (optional)</label><textarea value={newEquipment.notes} onChange={(e) => setNewEquipment({...newEquipment, notes: e.target.value})} placeholder="Any special instructions..." style={styles.textarea} rows={2} /></div>
           <button onClick={handleAddEquipment} style={styles.addBtn}>Add Equipment</button>
         </div>
+        <div style={styles.adminCard}>
+          <h3 style={styles.adminCardTitle}>✏️ Edit Equipment</h3>
+          <p style={styles.adminDesc}>Rename, recategorize or move an item, change its status, retire it or delete it. You can also use the Edit button in the Inventory tab.</p>
+          <select value="" onChange={(e) => { const eq = allEquipment.find(x => x.id === e.target.value); if (eq) openEquipmentEditor(eq) }} style={styles.select}><option value="">Select equipment to edit...</option>{allEquipment.map(eq => (<option key={eq.id} value={eq.id}>{eq.equipment_code} - {eq.name}{eq.retired_at ? ' (retired)' : ''}</option>))}</select>
+        </div>
         <div style={styles.adminCard}>
           <h3 style={styles.adminCardTitle}>📊 Statistics</h3>
           <div style={styles.statsList}>
             <div style={styles.statRow}><span>Total Equipment</span><strong>{equipment.length}</strong></div>
             <div style={styles.statRow}><span>Currently Checked Out</span><strong>{equipment.filter(e => e.status === 'checked-out').length}</strong></div>
             <div style={styles.statRow}><span>Needs Repair</span><strong>{equipment.filter(e => e.status === 'needs-repair').length}</strong></div>
-            <div style={styles.statRow}><span>Total Checkouts</span><strong>{checkouts.length}</strong></div>
-            <div style={styles.statRow}><span>Pending Deficiencies</span><strong>{deficiencies.filter(d => d.status === 'pending').length}</strong></div>
+            <div style={styles.statRow}><span>Total Checkouts</span><strong>{checkoutCount}</strong></div>
+            <div style={styles.statRow}><span>Open Deficiencies</span><strong>{deficiencies.filter(isOpenDeficiency).length}</strong></div>
+            <div style={styles.statRow}><span>Retired Equipment</span><strong>{allEquipment.length - equipment.length}</strong></div>
           </div>
         </div>
         <div style={styles.adminCard}>
@@ -722,18 +2941,471 @@ function AdminTab({ equipment, checkouts, deficiencies, newEquipment, setNewEqui
             <button onClick={exportCheckoutHistory} style={styles.exportBtnLarge}>📜 Checkout History</button>
             <button onClick={exportDeficiencies} style={styles.exportBtnLarge}>⚠️ Deficiencies Report</button>
             <button onClick={exportMaintenanceSchedule} style={styles.exportBtnLarge}>🔧 Maintenance Schedule</button>
+            <button onClick={exportMaintenanceLog} style={styles.exportBtnLarge}>🧾 Maintenance Log</button>
+          </div>
+        </div>
+        <LabelsCard equipment={equipment} categories={categories.filter(c => managedCategories.includes(c.name))} onPrint={handlePrintLabels} />
+        <ImportCard inventory={inventory} categoryNames={categories.map(c => c.name)} managedCategories={managedCategories} onImport={handleImportEquipment} />
+        <CertificationsCard categories={categories.filter(c => managedCategories.includes(c.name))} equipment={allEquipment.filter(eq => !eq.retired_at)} members={members} certifications={certifications.filter(c => managedCategories.includes(c.category) || allEquipment.some(eq => eq.id === c.equipment_id))} form={certificationForm} setForm={setCertificationForm} onAdd={handleAddCertification} onRenew={renewCertification} onDelete={handleDeleteCertification} />
+        {isChair && (<>
+        <div style={styles.adminCard}>
+          <h3 style={styles.adminCardTitle}>🗓️ Categories & Maintenance</h3>
+          <p style={styles.adminDesc}>Default service interval in days for each category. Leave blank for no scheduled maintenance. Individual items can override this in the equipment editor. Approval sends every checkout in the category to the approval queue; Cert. limits it to members with a current certification.</p>
+          <div style={styles.statsList}>{categories.map(c => (<div key={c.name} style={styles.statRow}><span>{c.name} <span style={styles.categoryCount}>({allEquipment.filter(eq => eq.category === c.name).length})</span></span><span style={styles.rowActions}><label style={styles.checkboxLabel} title="Checkouts need a chair's approval"><input type="checkbox" checked={c.requires_approval} onChange={(e) => handleUpdateCategoryFlags(c.name, { requires_approval: e.target.checked })} /> Approval</label><label style={styles.checkboxLabel} title="Only members with a current certification"><input type="checkbox" checked={c.requires_certification} onChange={(e) => handleUpdateCategoryFlags(c.name, { requires_certification: e.target.checked })} /> Cert.</label><input type="number" min="1" defaultValue={c.maintenance_interval_days || ''} onBlur={(e) => handleUpdateCategoryInterval(c.name, e.target.value)} placeholder="—" style={styles.intervalInput} /><button onClick={() => handleDeleteCategory(c.name)} style={styles.cartRemoveBtn} title="Delete category">✕</button></span></div>))}</div>
+          <div style={{...styles.rowActions, marginTop: '16px'}}><input type="text" value={categoryForm.name} onChange={(e) => setCategoryForm({...categoryForm, name: e.target.value})} placeholder="New category, e.g., Kitchen" style={{...styles.input, flex: 1}} /><input type="number" min="1" value={categoryForm.interval} onChange={(e) => setCategoryForm({...categoryForm, interval: e.target.value})} placeholder="Days" style={styles.intervalInput} /><button onClick={handleAddCategory} style={styles.exportBtn}>Add</button></div>
+        </div>
+        <div style={styles.adminCard} key={checkoutSettings?.updated_at}>
+          <h3 style={styles.adminCardTitle}>🔒 Checkout Rules</h3>
+          <p style={styles.adminDesc}>Limits on personal-use checkouts. Leave blank for no limit. Items and categories flagged for approval always go to the approval queue in the Alerts tab.</p>
+          <div style={styles.formRow}>
+            <div style={{...styles.formGroup, flex: 1}}><label style={styles.label}>Max Days (personal)</label><input type="number" min="1" defaultValue={checkoutSettings?.personal_max_days || ''} onBlur={(e) => (parseInt(e.target.value) || null) !== (checkoutSettings?.personal_max_days || null) && handleUpdateCheckoutSettings({ personal_max_days: parseInt(e.target.value) || null })} placeholder="No limit" style={styles.input} /></div>
+            <div style={{...styles.formGroup, flex: 1}}><label style={styles.label}>Max Items (personal)</label><input type="number" min="1" defaultValue={checkoutSettings?.personal_max_items || ''} onBlur={(e) => (parseInt(e.target.value) || null) !== (checkoutSettings?.personal_max_items || null) && handleUpdateCheckoutSettings({ personal_max_items: parseInt(e.target.value) || null })} placeholder="No limit" style={styles.input} /></div>
           </div>
+          <label style={styles.checkboxLabel}><input type="checkbox" checked={!!checkoutSettings?.personal_requires_approval} onChange={(e) => handleUpdateCheckoutSettings({ personal_requires_approval: e.target.checked })} /> Every personal-use checkout needs approval</label>
+        </div>
+        <div style={styles.adminCard}>
+          <h3 style={styles.adminCardTitle}>🔑 Member PINs</h3>
+          <p style={styles.adminDesc}>Set or reset a member's login PIN. Resetting also clears a lockout after too many wrong attempts.</p>
+          <div style={styles.formGroup}><label style={styles.label}>Member Number</label><input type="number" value={pinForm.memberNumber} onChange={(e) => setPinForm({...pinForm, memberNumber: e.target.value})} placeholder="e.g., 142" style={styles.input} /></div>
+          <div style={styles.formGroup}><label style={styles.label}>New PIN (4-8 digits)</label><input type="password" inputMode="numeric" pattern="[0-9]*" maxLength={8} value={pinForm.pin} onChange={(e) => setPinForm({...pinForm, pin: e.target.value.replace(/\D/g, '')})} style={styles.input} /></div>
+          <button onClick={handleSetMemberPin} style={styles.addBtn} disabled={!pinForm.memberNumber || pinForm.pin.length < 4}>Set PIN</button>
         </div>
         <div style={styles.adminCard}>
-          <h3 style={styles.adminCardTitle}>🗓️ Maintenance Schedule</h3>
-          <p style={styles.adminDesc}>Default maintenance intervals by category:</p>
-          <div style={styles.statsList}>{Object.entries(MAINTENANCE_INTERVALS).filter(([_, v]) => v).map(([cat, days]) => (<div key={cat} style={styles.statRow}><span>{cat}</span><strong>Every {days} days</strong></div>))}</div>
+          <h3 style={styles.adminCardTitle}>🛠️ Equipment Roles</h3>
+          <p style={styles.adminDesc}>Category chairs manage the items, history and requests of their categories. Maintenance volunteers can work deficiencies and log service on any item but cannot edit inventory.</p>
+          {memberRoles.length === 0 ? <p style={styles.noAlerts}>No equipment roles assigned</p> : (
+            <div style={styles.statsList}>{memberRoles.map(r => (<div key={r.id} style={styles.statRow}><span>{memberName(r)} <span style={styles.categoryCount}>({r.role === 'category-chair' ? `${r.category} chair` : 'maintenance'})</span></span><button onClick={() => handleRemoveMemberRole(r.id)} style={styles.cartRemoveBtn} title="Remove role">✕</button></div>))}</div>
+          )}
+          <div style={{...styles.formGroup, marginTop: '16px'}}><label style={styles.label}>Member</label><select value={roleForm.userId} onChange={(e) => setRoleForm({...roleForm, userId: e.target.value})} style={styles.select}><option value="">Select member...</option>{members.map(m => (<option key={m.id} value={m.id}>{m.last_name}, {m.first_name} (#{m.employee_number})</option>))}</select></div>
+          <div style={styles.rowActions}>
+            <select value={roleForm.role} onChange={(e) => setRoleForm({...roleForm, role: e.target.value})} style={{...styles.select, flex: 1}}><option value="category-chair">Category chair</option><option value="maintenance">Maintenance volunteer</option></select>
+            {roleForm.role === 'category-chair' && <select value={roleForm.category} onChange={(e) => setRoleForm({...roleForm, category: e.target.value})} style={{...styles.select, flex: 1}}><option value="">Category...</option>{categories.map(c => (<option key={c.name} value={c.name}>{c.name}</option>))}</select>}
+            <button onClick={handleAddMemberRole} style={styles.exportBtn} disabled={!roleForm.userId}>Add</button>
+          </div>
+        </div>
+        <KioskDevicesCard devices={kioskDevices} setupLink={kioskSetupLink} onDismissLink={() => setKioskSetupLink(null)} onRegister={handleRegisterKiosk} onRevoke={handleRevokeKiosk} />
+        <AuditLogViewer equipment={allEquipment} members={members} auditLog={auditLog} auditFilters={auditFilters} setAuditFilters={setAuditFilters} />
+        </>)}
+      </div>
+    </div>
+  )
+}
+
+function LabelsCard({ equipment, categories, onPrint }) {
+  const [filters, setFilters] = useState({ category: '', location: '', since: '' })
+  const [selected, setSelected] = useState([])
+  const [layout, setLayout] = useState('5160')
+  const [skip, setSkip] = useState(0)
+  const locations = [...new Set(equipment.map(eq => eq.location).filter(Boolean))].sort()
+  const shown = equipment.filter(eq => (!filters.category || eq.category === filters.category) && (!filters.location || eq.location === filters.location) && (!filters.since || (eq.created_at && eq.created_at.slice(0, 10) >= filters.since)))
+  const items = equipment.filter(eq => selected.includes(eq.id))
+  const perSheet = LABEL_LAYOUTS[layout].columns * LABEL_LAYOUTS[layout].rows
+  const sheetCount = Math.ceil((items.length + skip) / perSheet)
+  const toggle = (id) => setSelected(selected.includes(id) ? selected.filter(x => x !== id) : [...selected, id])
+
+  return (
+    <div style={styles.adminCard}>
+      <h3 style={styles.adminCardTitle}>🏷️ QR Labels</h3>
+      <p style={styles.adminDesc}>Print QR stickers for many items at once on Avery sheets. Each label has the QR code, equipment code, name and club name. Use the print view's "Save as PDF" to keep a PDF.</p>
+      <div style={styles.formRow}>
+        <select value={filters.category} onChange={(e) => setFilters({...filters, category: e.target.value})} style={{...styles.select, flex: 1}}><option value="">All categories</option>{categories.map(c => (<option key={c.name} value={c.name}>{c.name}</option>))}</select>
+        <select value={filters.location} onChange={(e) => setFilters({...filters, location: e.target.value})} style={{...styles.select, flex: 1}}><option value="">All locations</option>{locations.map(l => (<option key={l} value={l}>{l}</option>))}</select>
+      </div>
+      <div style={{...styles.formGroup, marginTop: '12px'}}><label style={styles.label}>Added Since (optional)</label><input type="date" value={filters.since} onChange={(e) => setFilters({...filters, since: e.target.value})} style={styles.input} /></div>
+      <div style={styles.rowActions}>
+        <button onClick={() => setSelected([...new Set([...selected, ...shown.map(eq => eq.id)])])} style={styles.qrBtn} disabled={shown.length === 0}>Select all {shown.length} shown</button>
+        <button onClick={() => setSelected([])} style={styles.qrBtn} disabled={selected.length === 0}>Clear selection</button>
+      </div>
+      <div style={{...styles.statsList, gap: 0, maxHeight: '220px', overflowY: 'auto', margin: '12px 0'}}>{shown.length === 0 ? <p style={styles.noAlerts}>No items match these filters</p> : shown.map(eq => (
+        <label key={eq.id} style={{...styles.checkboxLabel, padding: '4px 0'}}><input type="checkbox" checked={selected.includes(eq.id)} onChange={() => toggle(eq.id)} /> {eq.equipment_code} - {eq.name}</label>
+      ))}</div>
+      <div style={styles.formRow}>
+        <div style={{...styles.formGroup, flex: 2}}><label style={styles.label}>Sheet</label><select value={layout} onChange={(e) => setLayout(e.target.value)} style={styles.select}>{Object.entries(LABEL_LAYOUTS).map(([key, l]) => (<option key={key} value={key}>{l.name}</option>))}</select></div>
+        <div style={{...styles.formGroup, flex: 1}}><label style={styles.label}>Skip Labels</label><input type="number" min="0" max={perSheet - 1} value={skip} onChange={(e) => setSkip(Math.min(perSheet - 1, Math.max(0, parseInt(e.target.value) || 0)))} style={styles.input} /></div>
+      </div>
+      <p style={styles.fieldHint}>{items.length} item{items.length === 1 ? '' : 's'} selected{items.length > 0 ? ` · ${sheetCount} sheet${sheetCount === 1 ? '' : 's'}` : ''}. Skip leaves blank spots at the start of a partly used sheet.</p>
+      <div style={{...styles.rowActions, marginTop: '8px'}}>
+        <button onClick={() => onPrint(items, layout, skip, false)} style={{...styles.addBtn, marginTop: 0}} disabled={items.length === 0}>🖨️ Open Print View</button>
+        <button onClick={() => onPrint(items, layout, skip, true)} style={styles.exportBtn} disabled={items.length === 0}>Download HTML</button>
+      </div>
+    </div>
+  )
+}
+
+function ImportCard({ inventory, categoryNames, managedCategories, onImport }) {
+  const [file, setFile] = useState(null)
+  const [mapping, setMapping] = useState([])
+  const [importing, setImporting] = useState(false)
+  const preview = file ? buildImportPreview(file.rows, mapping, inventory, categoryNames, managedCategories) : []
+  const counts = Object.fromEntries(Object.keys(IMPORT_ACTION_STYLES).map(action => [action, preview.filter(r => r.action === action).length]))
+  const toImport = preview.filter(r => r.action === 'create' || r.action === 'update')
+
+  const loadFile = async (selected) => {
+    if (!selected) return
+    const [headers = [], ...rows] = parseCSV((await selected.text()).replace(/^\uFEFF/, ''))
+    setFile({ name: selected.name, headers, rows })
+    setMapping(headers.map(guessImportField))
+  }
+  const runImport = async () => {
+    setImporting(true)
+    if (await onImport(toImport.map(r => r.payload))) { setFile(null); setMapping([]) }
+    setImporting(false)
+  }
+  const downloadTemplate = () => exportToCSV([], 'equipment_import_template', IMPORT_FIELDS.map(f => ({ header: f.label, accessor: () => '' })))
+  const describeRow = (r) => r.action === 'reject' ? r.errors.join('; ') : r.action === 'update' ? `Changes ${r.changes.join(', ')}` : r.action === 'create' ? 'New code assigned on import' : '—'
+
+  return (
+    <div style={{...styles.adminCard, gridColumn: '1 / -1'}}>
+      <div style={styles.deficienciesHeader}><h3 style={{...styles.adminCardTitle, margin: 0}}>📤 Import Equipment</h3><button onClick={downloadTemplate} style={styles.qrBtn}>Download template</button></div>
+      <p style={styles.adminDesc}>Add or update many items at once from a CSV file (save a spreadsheet as CSV). The first line must be column headings. Rows with a Code update that item; rows without one become new items with the next code. Blank cells leave a field unchanged. Nothing is saved until you review the preview and press Import.</p>
+      <input type="file" accept=".csv,text/csv" key={file ? file.name : 'empty'} onChange={(e) => loadFile(e.target.files[0])} style={styles.input} />
+      {file && (<>
+        <h4 style={styles.resolvedTitle}>Columns in {file.name}</h4>
+        <div style={{...styles.inventoryFilters, flexWrap: 'wrap'}}>{file.headers.map((header, col) => (
+          <label key={col} style={styles.checkboxLabel}>{header || `Column ${col + 1}`} →
+            <select value={mapping[col]} onChange={(e) => setMapping(mapping.map((key, i) => i === col ? e.target.value : key))} style={styles.filterSelect}><option value="">Ignore</option>{IMPORT_FIELDS.map(f => (<option key={f.key} value={f.key} disabled={mapping.includes(f.key) && mapping[col] !== f.key}>{f.label}</option>))}</select>
+          </label>
+        ))}</div>
+        <h4 style={styles.resolvedTitle}>Preview — {counts.create} to add, {counts.update} to update, {counts.unchanged} unchanged, {counts.reject} rejected</h4>
+        <div style={{...styles.historyTable, maxHeight: '400px', overflowY: 'auto'}}>
+          <table style={styles.table}>
+            <thead><tr><th style={styles.th}>Line</th><th style={styles.th}>Result</th><th style={styles.th}>Item</th><th style={styles.th}>Details</th></tr></thead>
+            <tbody>{preview.map(r => (<tr key={r.line} style={styles.tr}><td style={styles.td}>{r.line}</td><td style={styles.td}><span style={{...styles.tableStatus, color: IMPORT_ACTION_STYLES[r.action].color, backgroundColor: IMPORT_ACTION_STYLES[r.action].bg}}>{IMPORT_ACTION_STYLES[r.action].label}</span></td><td style={styles.td}>{r.item ? `${r.item.equipment_code} - ${r.item.name}` : r.payload.name || '—'}</td><td style={styles.td}>{describeRow(r)}</td></tr>))}</tbody>
+          </table>
+        </div>
+        {counts.reject > 0 && <p style={styles.fieldHint}>Rejected rows are skipped. Fix them in the file and import it again; rows already imported will show as unchanged.</p>}
+        <div style={{...styles.rowActions, marginTop: '16px'}}>
+          <button onClick={runImport} style={{...styles.addBtn, marginTop: 0}} disabled={importing || toImport.length === 0}>{importing ? 'Importing...' : `Import ${toImport.length} row${toImport.length === 1 ? '' : 's'}`}</button>
+          <button onClick={() => { setFile(null); setMapping([]) }} style={styles.exportBtn}>Cancel</button>
+        </div>
+      </>)}
+    </div>
+  )
+}
+
+function KioskDevicesCard({ devices, setupLink, onDismissLink, onRegister, onRevoke }) {
+  const [name, setName] = useState('')
+  return (
+    <div style={styles.adminCard}>
+      <h3 style={styles.adminCardTitle}>📶 Offline Kiosks</h3>
+      <p style={styles.adminDesc}>A registered kiosk keeps working when its Wi-Fi drops and syncs its checkouts, returns and problem reports when the connection is back. Anything that no longer fits shows up in Alerts.</p>
+      {setupLink ? (
+        <div style={styles.reservationBlock}>
+          <p style={{ margin: '0 0 8px' }}>Open this link once on the kiosk. It is shown only now; register again if it is lost.</p>
+          <input type="text" readOnly value={setupLink} onFocus={(e) => e.target.select()} style={styles.input} />
+          <button onClick={onDismissLink} style={{...styles.qrBtn, marginTop: '8px'}}>Done</button>
+        </div>
+      ) : (
+        <div style={styles.rowActions}><input type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder="Kiosk name, e.g., Shed A tablet" style={{...styles.input, flex: 1}} /><button onClick={() => { onRegister(name); setName('') }} style={styles.exportBtn}>Register</button></div>
+      )}
+      {devices.length > 0 && <div style={{...styles.statsList, marginTop: '16px'}}>{devices.map(d => (<div key={d.id} style={styles.statRow}><span>{d.name} <span style={styles.categoryCount}>({d.last_sync_at ? `last sync ${format(parseISO(d.last_sync_at), 'MMM d, h:mm a')}` : 'never synced'})</span></span><button onClick={() => onRevoke(d)} style={styles.cartRemoveBtn} title="Revoke">✕</button></div>))}</div>}
+    </div>
+  )
+}
+
+function CertificationsCard({ categories, equipment, members, certifications, form, setForm, onAdd, onRenew, onDelete }) {
+  const today = startOfDay(new Date())
+  const soon = addDays(today, CERT_EXPIRING_SOON_DAYS)
+  const expiring = certifications.filter(c => c.expires_on && parseISO(c.expires_on) <= soon && parseISO(c.expires_on) >= addDays(today, -CERT_EXPIRING_SOON_DAYS))
+  const target = (c) => c.eq_equipment ? `${c.eq_equipment.name} (${c.eq_equipment.equipment_code})` : `All ${c.category}`
+  const row = (c) => { const expired = c.expires_on && parseISO(c.expires_on) < today; return (
+    <div key={c.id} style={styles.statRow}><span>{c.users?.first_name} {c.users?.last_name} — {target(c)} <span style={{...styles.categoryCount, color: expired ? '#dc2626' : '#94a3b8'}}>({c.expires_on ? `${expired ? 'expired' : 'expires'} ${c.expires_on}` : 'no expiry'})</span></span><span style={styles.rowActions}><button onClick={() => onRenew(c)} style={styles.qrBtn}>Renew</button><button onClick={() => onDelete(c)} style={styles.cartRemoveBtn} title="Remove certification">✕</button></span></div>
+  )}
+  return (
+    <div style={styles.adminCard}>
+      <h3 style={styles.adminCardTitle}>🎓 Certifications</h3>
+      <p style={styles.adminDesc}>Record who is trained on an item or a whole category. Items flagged "requires certification" can only be checked out by members with a current certification.</p>
+      <div style={styles.formGroup}><label style={styles.label}>Member</label><select value={form.userId} onChange={(e) => setForm({...form, userId: e.target.value})} style={styles.select}><option value="">Select member...</option>{members.map(m => (<option key={m.id} value={m.id}>{m.last_name}, {m.first_name} (#{m.employee_number})</option>))}</select></div>
+      <div style={styles.formGroup}><label style={styles.label}>Trained On</label><select value={form.target} onChange={(e) => setForm({...form, target: e.target.value})} style={styles.select}><option value="">Select item or category...</option><optgroup label="Whole category">{categories.map(c => (<option key={c.name} value={`category:${c.name}`}>All {c.name}</option>))}</optgroup><optgroup label="Single item">{equipment.map(eq => (<option key={eq.id} value={`equipment:${eq.id}`}>{eq.equipment_code} - {eq.name}</option>))}</optgroup></select></div>
+      <div style={styles.formRow}>
+        <div style={{...styles.formGroup, flex: 1}}><label style={styles.label}>Trained</label><input type="date" value={form.certifiedOn} onChange={(e) => setForm({...form, certifiedOn: e.target.value})} style={styles.input} /></div>
+        <div style={{...styles.formGroup, flex: 1}}><label style={styles.label}>Expires (optional)</label><input type="date" value={form.expiresOn} min={form.certifiedOn || undefined} onChange={(e) => setForm({...form, expiresOn: e.target.value})} style={styles.input} /></div>
+      </div>
+      <div style={styles.formGroup}><input type="text" value={form.notes} onChange={(e) => setForm({...form, notes: e.target.value})} placeholder="Notes, e.g. trainer or course" style={styles.input} /></div>
+      <button onClick={onAdd} style={styles.addBtn} disabled={!form.userId || !form.target}>Record Certification</button>
+      <h4 style={styles.resolvedTitle}>Expiring Soon ({expiring.length})</h4>
+      {expiring.length === 0 ? <p style={styles.noAlerts}>Nothing expires in the next {CERT_EXPIRING_SOON_DAYS} days</p> : <div style={styles.statsList}>{expiring.map(row)}</div>}
+      {certifications.length > 0 && (
+        <details style={{ marginTop: '16px' }}>
+          <summary style={styles.label}>All certifications ({certifications.length})</summary>
+          <div style={styles.statsList}>{certifications.map(row)}</div>
+        </details>
+      )}
+    </div>
+  )
+}
+
+function AuditLogViewer({ equipment, members, auditLog, auditFilters, setAuditFilters }) {
+  const item = equipment.find(eq => eq.id === auditFilters.equipmentId)
+  const itemName = (entry) => equipment.find(eq => eq.id === entry.equipment_id)?.name || (entry.new_data || entry.old_data)?.name || 'Deleted item'
+  const actorName = (entry) => entry.users ? `${entry.users.first_name} ${entry.users.last_name}` : 'System'
+  const formatValue = (value) => value === null || value === undefined || value === '' ? '—' : typeof value === 'object' ? JSON.stringify(value) : String(value)
+  return (
+    <div style={{...styles.adminCard, gridColumn: '1 / -1'}}>
+      <div style={styles.deficienciesHeader}><h3 style={{...styles.adminCardTitle, margin: 0}}>🕵️ Audit Log{item ? ` — ${item.name}` : ''}</h3>{item && <button onClick={() => setAuditFilters({...auditFilters, equipmentId: ''})} style={styles.qrBtn}>Show all items</button>}</div>
+      <div style={styles.inventoryFilters}>
+        <select value={auditFilters.equipmentId} onChange={(e) => setAuditFilters({...auditFilters, equipmentId: e.target.value})} style={styles.filterSelect}><option value="">All items</option>{equipment.map(eq => (<option key={eq.id} value={eq.id}>{eq.equipment_code} - {eq.name}</option>))}</select>
+        <select value={auditFilters.actorId} onChange={(e) => setAuditFilters({...auditFilters, actorId: e.target.value})} style={styles.filterSelect}><option value="">All members</option>{members.map(m => (<option key={m.id} value={m.id}>{m.last_name}, {m.first_name} (#{m.employee_number})</option>))}</select>
+        <input type="date" value={auditFilters.from} onChange={(e) => setAuditFilters({...auditFilters, from: e.target.value})} style={styles.input} title="From" />
+        <input type="date" value={auditFilters.to} onChange={(e) => setAuditFilters({...auditFilters, to: e.target.value})} style={styles.input} title="To" />
+      </div>
+      {auditLog.length === 0 ? <p style={styles.noAlerts}>No changes recorded for these filters</p> : item ? (
+        <div style={styles.timeline}>{auditLog.map(entry => (
+          <div key={entry.id} style={styles.timelineEntry}>
+            <span style={styles.timelineDot}></span>
+            <div>
+              <p style={styles.timelineTitle}>{describeAuditEntry(entry)}</p>
+              <p style={styles.alertDetail}>{format(parseISO(entry.changed_at), 'MMM d, yyyy h:mm a')} · {actorName(entry)}</p>
+              {getAuditChanges(entry).map(c => (<p key={c.field} style={styles.auditChange}><strong>{c.field}</strong>: {formatValue(c.from)} → {formatValue(c.to)}</p>))}
+            </div>
+          </div>
+        ))}</div>
+      ) : (
+        <div style={styles.historyTable}>
+          <table style={styles.table}>
+            <thead><tr><th style={styles.th}>When</th><th style={styles.th}>Who</th><th style={styles.th}>Item</th><th style={styles.th}>Action</th><th style={styles.th}>Changes</th></tr></thead>
+            <tbody>{auditLog.map(entry => (<tr key={entry.id} style={styles.tr}><td style={styles.td}>{format(parseISO(entry.changed_at), 'MMM d, yyyy h:mm a')}</td><td style={styles.td}>{actorName(entry)}</td><td style={styles.td}>{itemName(entry)}</td><td style={styles.td}>{describeAuditEntry(entry)}</td><td style={styles.td}>{getAuditChanges(entry).map(c => (<div key={c.field} style={styles.auditChange}><strong>{c.field}</strong>: {formatValue(c.from)} → {formatValue(c.to)}</div>))}</td></tr>))}</tbody>
+          </table>
+        </div>
+      )}
+      {auditLog.length === AUDIT_PAGE_SIZE && <p style={styles.moreAlerts}>Showing the latest {AUDIT_PAGE_SIZE} changes. Narrow the filters to see older entries.</p>}
+    </div>
+  )
+}
+
+// ============================================
+// MODALS
+// ============================================
+
+function EquipmentEditorModal({ form, photos, onAddPhotos, onRemovePhoto, setForm, categories, hasOpenCheckout, onSave, onRetire, onRestore, onDelete, onClose }) {
+  const statusChanged = form.status !== form.originalStatus
+  const category = categories.find(c => c.name === form.category)
+  const categoryRules = [category?.requires_approval && 'approval', category?.requires_certification && 'certification'].filter(Boolean).join(' and ')
+  return (
+    <div style={styles.modalOverlay} onClick={onClose}>
+      <div style={styles.editorModal} onClick={e => e.stopPropagation()}>
+        <h3 style={styles.modalTitle}>Edit Equipment</h3>
+        <p style={styles.modalId}>ID: {form.equipment_code}{form.retired_at ? ` · Retired ${format(parseISO(form.retired_at), 'MMM d, yyyy')}` : ''}</p>
+        <PhotoStrip photos={photos} onAdd={onAddPhotos} onRemove={onRemovePhoto} />
+        <div style={styles.formSection}>
+          <div style={styles.formGroup}><label style={styles.label}>Equipment Name</label><input type="text" value={form.name} onChange={(e) => setForm({...form, name: e.target.value})} style={styles.input} /></div>
+          <div style={styles.formGroup}><label style={styles.label}>Category</label><select value={form.category} onChange={(e) => setForm({...form, category: e.target.value})} style={styles.select}>{categories.map(c => (<option key={c.name} value={c.name}>{c.name}</option>))}</select></div>
+          <div style={styles.formGroup}><label style={styles.label}>Maintenance Interval Override (days)</label><input type="number" min="1" value={form.maintenanceInterval} onChange={(e) => setForm({...form, maintenanceInterval: e.target.value})} placeholder={`Category default: ${categories.find(c => c.name === form.category)?.maintenance_interval_days || 'none'}`} style={styles.input} /></div>
+          <div style={styles.formRow}>
+            <div style={{...styles.formGroup, flex: 1}}><label style={styles.label}>Service Every (engine hrs)</label><input type="number" min="1" step="0.5" value={form.serviceEveryHours} onChange={(e) => setForm({...form, serviceEveryHours: e.target.value})} placeholder="None" style={styles.input} /></div>
+            <div style={{...styles.formGroup, flex: 1}}><label style={styles.label}>Service Every (checkouts)</label><input type="number" min="1" value={form.serviceEveryUses} onChange={(e) => setForm({...form, serviceEveryUses: e.target.value})} placeholder="None" style={styles.input} /></div>
+          </div>
+          {(form.serviceEveryHours || form.hourMeter) && <div style={styles.formGroup}><label style={styles.label}>Current Hour Meter</label><input type="number" min="0" step="0.1" value={form.hourMeter} onChange={(e) => setForm({...form, hourMeter: e.target.value})} placeholder="Reading on the meter today" style={styles.input} /></div>}
+          <div style={styles.formGroup}><label style={styles.label}>Storage Location</label><input type="text" value={form.location} onChange={(e) => setForm({...form, location: e.target.value})} style={styles.input} /></div>
+          <div style={styles.formGroup}><label style={styles.label}>Checkout Rules{categoryRules ? ` (${form.category} requires ${categoryRules})` : ''}</label><div style={styles.rowActions}><label style={styles.checkboxLabel}><input type="checkbox" checked={form.requiresApproval} onChange={(e) => setForm({...form, requiresApproval: e.target.checked})} /> Requires approval</label><label style={styles.checkboxLabel}><input type="checkbox" checked={form.requiresCertification} onChange={(e) => setForm({...form, requiresCertification: e.target.checked})} /> Requires certification</label></div></div>
+          <div style={styles.formGroup}><label style={styles.label}>Notes</label><textarea value={form.notes} onChange={(e) => setForm({...form, notes: e.target.value})} style={styles.textarea} rows={2} /></div>
+          {!form.retired_at && (
+            <div style={styles.formGroup}><label style={styles.label}>Status</label>{hasOpenCheckout ? <p style={styles.alertDetail}>Checked out — return it before changing the status.</p> : <select value={form.status} onChange={(e) => setForm({...form, status: e.target.value})} style={styles.select}>{MANUAL_STATUSES.map(st => (<option key={st} value={st}>{st.replace(/-/g, ' ')}</option>))}</select>}</div>
+          )}
+          <div style={styles.formGroup}><label style={styles.label}>Reason {statusChanged ? '(required for status change)' : form.retired_at ? '(optional, for restoring)' : '(required to change status or retire)'}</label><input type="text" value={form.statusReason} onChange={(e) => setForm({...form, statusReason: e.target.value})} placeholder="e.g., Engine seized, awaiting parts" style={styles.input} /></div>
+          <div style={styles.modalButtons}>
+            <button onClick={onSave} style={styles.printModalBtn}>Save Changes</button>
+            <button onClick={onClose} style={styles.closeModalBtn}>Cancel</button>
+          </div>
+          <div style={styles.dangerZone}>
+            {form.retired_at
+              ? <button onClick={onRestore} style={styles.exportBtnLarge}>♻️ Restore to Inventory</button>
+              : <button onClick={onRetire} style={styles.exportBtnLarge} disabled={hasOpenCheckout}>📦 Retire (keeps history)</button>}
+            <button onClick={onDelete} style={styles.deleteBtn} disabled={hasOpenCheckout}>🗑️ Delete Permanently</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function ReportProblemModal({ form, setForm, equipment, onSubmit, onClose }) {
+  return (
+    <div style={styles.modalOverlay} onClick={onClose}>
+      <div style={styles.editorModal} onClick={e => e.stopPropagation()}>
+        <h3 style={styles.modalTitle}>⚠️ Report a Problem</h3>
+        <p style={styles.modalId}>Spotted something wrong with an item? Let the chairs know.</p>
+        <div style={styles.formSection}>
+          <div style={styles.formGroup}><label style={styles.label}>Equipment</label><select value={form.equipmentId} onChange={(e) => setForm({...form, equipmentId: e.target.value})} style={styles.select}><option value="">Select equipment...</option>{equipment.map(eq => (<option key={eq.id} value={eq.id}>{eq.equipment_code} - {eq.name}</option>))}</select></div>
+          <div style={styles.formGroup}><label style={styles.label}>Severity</label><select value={form.severity} onChange={(e) => setForm({...form, severity: e.target.value})} style={styles.select}><option value="minor">Minor - Still Usable</option><option value="major">Major - Needs Repair</option></select></div>
+          <div style={styles.formGroup}><label style={styles.label}>Describe the Problem</label><textarea value={form.description} onChange={(e) => setForm({...form, description: e.target.value})} placeholder="e.g., Flat tyre on the left side" style={styles.textarea} rows={3} /></div>
+          <div style={styles.formGroup}><label style={styles.label}>Photo (optional)</label><PhotoPicker files={form.photos} onChange={(files) => setForm({...form, photos: files})} label="Add a photo" /></div>
+          <div style={styles.modalButtons}>
+            <button onClick={onSubmit} style={styles.printModalBtn}>Submit Report</button>
+            <button onClick={onClose} style={styles.closeModalBtn}>Cancel</button>
+          </div>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function DeficiencyModal({ deficiency, photos, onAddPhotos, onRemovePhoto, comments, form, setForm, canWork, canAssign, members, onComment, onSetStatus, onAssign, onClose }) {
+  const status = DEFICIENCY_STATUSES[deficiency.status]
+  const next = NEXT_DEFICIENCY_STATUS[deficiency.status]
+  const isOpen = isOpenDeficiency(deficiency)
+  const authorName = (c) => c.author ? `${c.author.first_name} ${c.author.last_name}` : 'System'
+  const describeComment = (c) => {
+    if (c.event === 'status') return `${authorName(c)} marked it ${DEFICIENCY_STATUSES[c.status]?.label.toLowerCase() || c.status}`
+    if (c.event === 'assigned') return c.assignee ? `${authorName(c)} assigned it to ${c.assignee.first_name} ${c.assignee.last_name}` : `${authorName(c)} removed the assignee`
+    return authorName(c)
+  }
+  return (
+    <div style={styles.modalOverlay} onClick={onClose}>
+      <div style={styles.editorModal} onClick={e => e.stopPropagation()}>
+        <h3 style={styles.modalTitle}>{deficiency.eq_equipment?.name || 'Unknown'}</h3>
+        <p style={styles.modalId}>ID: {deficiency.eq_equipment?.equipment_code} · Reported {deficiency.reported_date} by {deficiency.users?.first_name} {deficiency.users?.last_name}</p>
+        <div style={styles.defHeader}><span style={styles.defBadges}><span style={{...styles.severityBadge, backgroundColor: deficiency.severity === 'major' ? '#fee2e2' : '#fef3c7', color: deficiency.severity === 'major' ? '#dc2626' : '#d97706'}}>{deficiency.severity.toUpperCase()}</span><span style={{...styles.severityBadge, backgroundColor: status.bg, color: status.color}}>{status.label}</span></span></div>
+        <p style={styles.defDescription}>{deficiency.description}</p>
+        <PhotoStrip photos={photos.filter(p => p.deficiency_id === deficiency.id)} onAdd={onAddPhotos} onRemove={onRemovePhoto} />
+        {deficiency.checkout_id && photos.some(p => p.checkout_id === deficiency.checkout_id && p.kind === 'checkout-before') && (<><p style={styles.alertDetail}>Condition at checkout:</p><PhotoStrip photos={photos.filter(p => p.checkout_id === deficiency.checkout_id && p.kind === 'checkout-before')} /></>)}
+        {canAssign ? (
+          <div style={styles.formGroup}><label style={styles.label}>Assigned To</label><select value={deficiency.assigned_to || ''} onChange={(e) => onAssign(e.target.value)} style={styles.select}><option value="">Unassigned</option>{members.map(m => (<option key={m.id} value={m.id}>{m.last_name}, {m.first_name} (#{m.employee_number})</option>))}</select></div>
+        ) : <p style={styles.alertDetail}>Assigned to: {deficiency.assignee ? `${deficiency.assignee.first_name} ${deficiency.assignee.last_name}` : 'Nobody yet'}</p>}
+        {canWork && (isOpen ? (
+          <div style={styles.formSection}>
+            {next && <button onClick={() => onSetStatus(next)} style={styles.addBtn}>Mark {DEFICIENCY_STATUSES[next].label}</button>}
+            <div style={styles.formGroup}><label style={styles.label}>Resolution Notes (required to close)</label><textarea value={form.resolutionNotes} onChange={(e) => setForm({...form, resolutionNotes: e.target.value})} placeholder="What was done, or why it won't be fixed" style={styles.textarea} rows={2} /></div>
+            <div style={styles.modalButtons}>
+              <button onClick={() => onSetStatus('resolved')} style={styles.printModalBtn}>✅ Resolve</button>
+              <button onClick={() => onSetStatus('wont-fix')} style={styles.closeModalBtn}>Won't Fix</button>
+            </div>
+          </div>
+        ) : (
+          <div style={styles.formSection}>
+            <p style={styles.alertDetail}>Closed {deficiency.resolved_date}: {deficiency.resolution_notes}</p>
+            <button onClick={() => onSetStatus('pending')} style={styles.qrBtn}>↩️ Reopen</button>
+          </div>
+        ))}
+        <h4 style={styles.resolvedTitle}>History & Comments ({comments.length})</h4>
+        {comments.length === 0 ? <p style={styles.noAlerts}>No comments yet</p> : (
+          <div style={styles.timeline}>{comments.map(c => (
+            <div key={c.id} style={styles.timelineEntry}>
+              <span style={styles.timelineDot}></span>
+              <div>
+                <p style={styles.timelineTitle}>{describeComment(c)}</p>
+                <p style={styles.alertDetail}>{format(parseISO(c.created_at), 'MMM d, yyyy h:mm a')}</p>
+                {c.body && <p style={styles.defDescription}>{c.body}</p>}
+              </div>
+            </div>
+          ))}</div>
+        )}
+        <div style={styles.formGroup}><textarea value={form.comment} onChange={(e) => setForm({...form, comment: e.target.value})} placeholder="Add a comment..." style={styles.textarea} rows={2} /></div>
+        <div style={styles.modalButtons}>
+          <button onClick={onComment} style={styles.printModalBtn} disabled={!form.comment.trim()}>💬 Post Comment</button>
+          <button onClick={onClose} style={styles.closeModalBtn}>Close</button>
         </div>
       </div>
     </div>
   )
 }
 
+function MaintenanceModal({ photos, equipment, history, form, setForm, canLog, members, onNewWorkOrder, onSubmit, onClose }) {
+  const totalCost = history.reduce((sum, m) => sum + (Number(m.cost) || 0), 0)
+  return (
+    <div style={styles.modalOverlay} onClick={onClose}>
+      <div style={styles.editorModal} onClick={e => e.stopPropagation()}>
+        <h3 style={styles.modalTitle}>{equipment.name}</h3>
+        <p style={styles.modalId}>ID: {equipment.equipment_code} · Last service: {equipment.last_maintenance ? format(parseISO(equipment.last_maintenance), 'MMM d, yyyy') : 'Never'}{equipment.hour_meter != null ? ` · Meter: ${equipment.hour_meter} hrs` : ''}</p>
+        <PhotoStrip photos={photos} />
+        {form ? (
+          <div style={styles.formSection}>
+            <h4 style={styles.formTitle}>Log Service</h4>
+            <div style={styles.formGroup}><label style={styles.label}>Service Type</label><input type="text" list="service-types" value={form.serviceType} onChange={(e) => setForm({...form, serviceType: e.target.value})} style={styles.input} /><datalist id="service-types">{SERVICE_TYPES.map(t => (<option key={t} value={t} />))}</datalist></div>
+            <div style={styles.formRow}>
+              <div style={{...styles.formGroup, flex: 1}}><label style={styles.label}>Date</label><input type="date" value={form.performedDate} max={format(new Date(), 'yyyy-MM-dd')} onChange={(e) => setForm({...form, performedDate: e.target.value})} style={styles.input} /></div>
+              <div style={{...styles.formGroup, flex: 1}}><label style={styles.label}>Performed By</label><select value={form.performedBy} onChange={(e) => setForm({...form, performedBy: e.target.value})} style={styles.select}><option value="">Outside vendor / other</option>{members.map(m => (<option key={m.id} value={m.id}>{m.first_name} {m.last_name}</option>))}</select></div>
+            </div>
+            <div style={styles.formGroup}><label style={styles.label}>Parts Used</label><input type="text" value={form.parts} onChange={(e) => setForm({...form, parts: e.target.value})} placeholder="e.g., 10W-30 oil (2 qt), air filter" style={styles.input} /></div>
+            <div style={styles.formRow}>
+              <div style={{...styles.formGroup, flex: 1}}><label style={styles.label}>Cost ($)</label><input type="number" min="0" step="0.01" value={form.cost} onChange={(e) => setForm({...form, cost: e.target.value})} style={styles.input} /></div>
+              <div style={{...styles.formGroup, flex: 1}}><label style={styles.label}>Labor Hours</label><input type="number" min="0" step="0.25" value={form.hours} onChange={(e) => setForm({...form, hours: e.target.value})} style={styles.input} /></div>
+              {(equipment.service_every_hours || equipment.hour_meter != null) && <div style={{...styles.formGroup, flex: 1}}><label style={styles.label}>Hour Meter</label><input type="number" min="0" step="0.1" value={form.hourMeter} onChange={(e) => setForm({...form, hourMeter: e.target.value})} style={styles.input} /></div>}
+            </div>
+            <div style={styles.formGroup}><label style={styles.label}>Notes</label><textarea value={form.notes} onChange={(e) => setForm({...form, notes: e.target.value})} placeholder="What was done?" style={styles.textarea} rows={2} /></div>
+            <div style={styles.modalButtons}>
+              <button onClick={onSubmit} style={styles.printModalBtn}>Save Work Order</button>
+              <button onClick={() => setForm(null)} style={styles.closeModalBtn}>Cancel</button>
+            </div>
+          </div>
+        ) : canLog && <button onClick={onNewWorkOrder} style={styles.addBtn}>🔧 Log Service</button>}
+        <h4 style={styles.resolvedTitle}>Service History ({history.length}){totalCost > 0 ? ` · $${totalCost.toFixed(2)} total` : ''}</h4>
+        {history.length === 0 ? <p style={styles.noAlerts}>No service recorded yet</p> : (
+          <div style={styles.timeline}>{history.map(m => (
+            <div key={m.id} style={styles.timelineEntry}>
+              <span style={styles.timelineDot}></span>
+              <p style={styles.timelineTitle}>{m.service_type}</p>
+              <p style={styles.alertDetail}>{format(parseISO(m.performed_date), 'MMM d, yyyy')} · {m.users ? `${m.users.first_name} ${m.users.last_name}` : 'Outside vendor / other'}</p>
+              {m.parts && <p style={styles.alertDetail}>Parts: {m.parts}</p>}
+              {(m.cost !== null || m.hours !== null) && <p style={styles.alertDetail}>{m.cost !== null ? `$${Number(m.cost).toFixed(2)}` : ''}{m.cost !== null && m.hours !== null ? ' · ' : ''}{m.hours !== null ? `${m.hours} hrs labor` : ''}</p>}
+              {m.hour_meter_reading !== null && m.hour_meter_reading !== undefined && <p style={styles.alertDetail}>Hour meter: {m.hour_meter_reading}</p>}
+              {m.notes && <p style={styles.alertDetail}>{m.notes}</p>}
+            </div>
+          ))}</div>
+        )}
+        <div style={{...styles.modalButtons, marginTop: '20px'}}><button onClick={onClose} style={styles.closeModalBtn}>Close</button></div>
+      </div>
+    </div>
+  )
+}
+
+// Collects image files to upload later (checkout/return forms)
+// Column header for the paged lists: sorts by its column, a second click reverses the order
+function SortableTh({ label, column, filters, setFilters }) {
+  const active = filters.sort === column
+  return <th onClick={() => setFilters({ ...filters, sort: column, desc: active ? !filters.desc : false, page: 1 })} style={{...styles.th, cursor: 'pointer', userSelect: 'none'}}>{label}{active ? (filters.desc ? ' ▼' : ' ▲') : ''}</th>
+}
+
+// Shown under a paged list when it is empty, failed to load, or can't load on an offline kiosk
+function ListMessage({ page, offline, empty }) {
+  if (offline) return <p style={styles.listMessage}>This list needs a connection. It will load when the kiosk is back online.</p>
+  if (page.error) return <p style={styles.listMessage}>Could not load this list. Check the connection and try again.</p>
+  if (page.loaded && page.rows.length === 0 && empty) return <p style={styles.listMessage}>{empty}</p>
+  return null
+}
+
+function Pager({ page, count, onPage }) {
+  const pages = Math.max(1, Math.ceil(count / LIST_PAGE_SIZE))
+  if (count === 0 && page === 1) return null
+  return (
+    <div style={styles.pager}>
+      <span>{count === 0 ? 'No results' : `${Math.min((page - 1) * LIST_PAGE_SIZE + 1, count)}–${Math.min(page * LIST_PAGE_SIZE, count)} of ${count}`}</span>
+      {pages > 1 || page > 1 ? (
+        <span style={styles.pagerButtons}>
+          <button onClick={() => onPage(page - 1)} disabled={page <= 1} style={styles.catBtn}>◀ Prev</button>
+          <span>Page {page} of {pages}</span>
+          <button onClick={() => onPage(page + 1)} disabled={page >= pages} style={styles.catBtn}>Next ▶</button>
+        </span>
+      ) : null}
+    </div>
+  )
+}
+
+function PhotoPicker({ files, onChange, label }) {
+  return (
+    <span style={styles.photoPickerWrap}>
+      <label style={styles.photoPicker}>📷 {files.length > 0 ? `${files.length} photo${files.length === 1 ? '' : 's'}` : label}<input type="file" accept="image/*" capture="environment" multiple onChange={(e) => { onChange([...files, ...e.target.files]); e.target.value = '' }} style={{ display: 'none' }} /></label>
+      {files.length > 0 && <button onClick={() => onChange([])} style={styles.cartRemoveBtn} title="Clear photos">✕</button>}
+    </span>
+  )
+}
+
+// Thumbnails linking to the full-size image; onAdd uploads straight away
+function PhotoStrip({ photos, onAdd, onRemove }) {
+  if (photos.length === 0 && !onAdd) return null
+  return (
+    <div style={styles.photoStrip}>
+      {photos.map(photo => (
+        <span key={photo.id} style={styles.photoThumbWrap}>
+          <a href={photoStorage.url(photo.storage_path)} target="_blank" rel="noreferrer"><img src={photoStorage.url(photo.thumb_path)} alt="" style={styles.photoThumb} loading="lazy" /></a>
+          {onRemove && <button onClick={() => onRemove(photo)} style={styles.photoRemoveBtn} title="Remove photo">✕</button>}
+        </span>
+      ))}
+      {onAdd && <label style={styles.photoAdd}>📷 Add<input type="file" accept="image/*" capture="environment" multiple onChange={(e) => { onAdd([...e.target.files]); e.target.value = '' }} style={{ display: 'none' }} /></label>}
+    </div>
+  )
+}
+
 // ============================================
 // STYLES
 // ============================================
@@ -765,6 +3437,10 @@ const styles = {
   headerSubtitle: { margin: '2px 0 0', fontSize: '12px', opacity: '0.8' },
   headerRight: { display: 'flex', alignItems: 'center', gap: '16px' },
   userBadge: { backgroundColor: 'rgba(255,255,255,0.1)', padding: '8px 16px', borderRadius: '20px', fontSize: '14px' },
+  offlineBadge: { backgroundColor: '#dc2626', color: '#fff', padding: '4px 10px', borderRadius: '4px', fontSize: '11px', fontWeight: '700', letterSpacing: '1px' },
+  kioskBadge: { backgroundColor: '#f59e0b', color: '#fff', padding: '4px 10px', borderRadius: '4px', fontSize: '11px', fontWeight: '700', letterSpacing: '1px' },
+  kioskScanIcon: { fontSize: '64px', textAlign: 'center' },
+  kioskBackBtn: { backgroundColor: 'transparent', border: 'none', color: '#64748b', fontSize: '14px', cursor: 'pointer' },
   logoutBtn: { backgroundColor: 'transparent', border: '1px solid rgba(255,255,255,0.3)', color: '#fff', padding: '8px 16px', borderRadius: '6px', cursor: 'pointer', fontSize: '14px' },
   nav: { backgroundColor: '#fff', padding: '12px 24px', display: 'flex', gap: '8px', borderBottom: '1px solid #e2e8f0', flexWrap: 'wrap' },
   navBtn: { backgroundColor: 'transparent', border: 'none', padding: '10px 20px', borderRadius: '6px', cursor: 'pointer', fontSize: '14px', color: '#64748b', display: 'flex', alignItems: 'center', gap: '6px' },
@@ -775,7 +3451,8 @@ const styles = {
   main: { padding: '24px', maxWidth: '1400px', margin: '0 auto' },
   checkoutContainer: { display: 'flex', flexDirection: 'column', gap: '20px' },
   scanSection: { backgroundColor: '#fff', padding: '20px', borderRadius: '12px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' },
-  scanLabel: { display: 'block', marginBottom: '8px', fontWeight: '600', color: '#374151', fontSize: '14px' },
+  scanHeader: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', marginBottom: '8px' },
+  scanLabel: { display: 'block', fontWeight: '600', color: '#374151', fontSize: '14px' },
   scanInput: { width: '100%', padding: '16px 20px', border: '3px solid #3b82f6', borderRadius: '10px', fontSize: '18px', boxSizing: 'border-box', backgroundColor: '#f8fafc' },
   checkoutGrid: { display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '20px' },
   equipmentList: { backgroundColor: '#fff', borderRadius: '12px', padding: '20px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' },
@@ -792,12 +3469,13 @@ const styles = {
   eqCategory: { color: '#64748b' },
   eqStatus: { fontWeight: '500', textTransform: 'capitalize' },
   actionPanel: { backgroundColor: '#fff', borderRadius: '12px', padding: '24px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' },
-  selectedEquipment: { marginBottom: '24px', paddingBottom: '24px', borderBottom: '1px solid #e2e8f0' },
-  selectedTitle: { margin: '0 0 8px', fontSize: '20px', color: '#1e293b' },
-  selectedId: { margin: '0 0 12px', fontSize: '13px', color: '#64748b', fontFamily: 'monospace' },
-  selectedDetail: { margin: '4px 0', fontSize: '14px', color: '#475569' },
-  selectedNotes: { margin: '8px 0', fontSize: '14px', color: '#64748b', fontStyle: 'italic' },
   statusBadge: { display: 'inline-block', marginTop: '12px', padding: '6px 12px', borderRadius: '6px', color: '#fff', fontSize: '12px', fontWeight: '600' },
+  inCartMark: { marginLeft: 'auto', fontSize: '11px', fontWeight: '600', color: '#0369a1' },
+  cartList: { display: 'flex', flexDirection: 'column', gap: '6px' },
+  cartRow: { display: 'flex', alignItems: 'center', gap: '10px', padding: '8px 12px', backgroundColor: '#f8fafc', borderRadius: '6px' },
+  cartName: { flex: 1, fontWeight: '500', color: '#1e293b', fontSize: '14px' },
+  cartRemoveBtn: { backgroundColor: 'transparent', border: 'none', color: '#94a3b8', fontSize: '14px', cursor: 'pointer' },
+  returnItem: { display: 'flex', flexDirection: 'column', gap: '12px', paddingBottom: '16px', borderBottom: '1px solid #e2e8f0' },
   formSection: { display: 'flex', flexDirection: 'column', gap: '16px' },
   formTitle: { margin: '0 0 8px', fontSize: '16px', fontWeight: '600', color: '#1e293b' },
   formGroup: { display: 'flex', flexDirection: 'column' },
@@ -806,11 +3484,14 @@ const styles = {
   select: { padding: '10px 14px', border: '1px solid #d1d5db', borderRadius: '6px', fontSize: '14px', backgroundColor: '#fff' },
   textarea: { padding: '10px 14px', border: '1px solid #d1d5db', borderRadius: '6px', fontSize: '14px', resize: 'vertical', fontFamily: 'inherit' },
   checkoutBtn: { backgroundColor: '#10b981', color: '#fff', border: 'none', padding: '14px', borderRadius: '8px', fontSize: '16px', fontWeight: '600', cursor: 'pointer', marginTop: '8px' },
+  checkoutBtnDisabled: { backgroundColor: '#cbd5e1', color: '#fff', border: 'none', padding: '14px', borderRadius: '8px', fontSize: '16px', fontWeight: '600', cursor: 'not-allowed', marginTop: '8px' },
+  reservationWarning: { backgroundColor: '#ede9fe', color: '#5b21b6', padding: '12px 16px', borderRadius: '8px', fontSize: '13px', lineHeight: '1.6' },
+  approvalBadge: { backgroundColor: '#fef3c7', color: '#92400e', padding: '2px 8px', borderRadius: '4px', fontSize: '11px', fontWeight: '600', whiteSpace: 'nowrap' },
+  fieldHint: { margin: '4px 0 0', fontSize: '12px', color: '#64748b' },
+  linkBtn: { padding: 0, border: 'none', background: 'none', font: 'inherit', color: '#1e3a5f', cursor: 'pointer', textAlign: 'left', textDecoration: 'underline' },
+  reservationBlock: { backgroundColor: '#fee2e2', color: '#b91c1c', padding: '12px 16px', borderRadius: '8px', fontSize: '13px', lineHeight: '1.6' },
   returnBtn: { backgroundColor: '#3b82f6', color: '#fff', border: 'none', padding: '14px', borderRadius: '8px', fontSize: '16px', fontWeight: '600', cursor: 'pointer', marginTop: '8px' },
   checkoutInfo: { backgroundColor: '#f8fafc', padding: '12px 16px', borderRadius: '8px', marginBottom: '8px', fontSize: '13px', lineHeight: '1.6' },
-  repairMessage: { textAlign: 'center', padding: '24px', backgroundColor: '#fef2f2', borderRadius: '8px' },
-  repairIcon: { fontSize: '48px', display: 'block', marginBottom: '12px' },
-  repairNote: { fontSize: '13px', color: '#64748b', marginTop: '8px' },
   noSelection: { textAlign: 'center', padding: '48px', color: '#94a3b8' },
   noSelectionIcon: { fontSize: '48px', display: 'block', marginBottom: '16px' },
   inventoryContainer: {},
@@ -821,6 +3502,9 @@ const styles = {
   statDot: { width: '8px', height: '8px', borderRadius: '50%' },
   exportBtn: { backgroundColor: '#1e3a5f', color: '#fff', border: 'none', padding: '8px 16px', borderRadius: '6px', fontSize: '13px', cursor: 'pointer', fontWeight: '500' },
   inventoryFilters: { display: 'flex', gap: '12px', marginBottom: '16px' },
+  listMessage: { padding: '24px', textAlign: 'center', color: '#64748b', fontSize: '14px', margin: 0 },
+  pager: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', marginTop: '12px', fontSize: '13px', color: '#64748b' },
+  pagerButtons: { display: 'flex', alignItems: 'center', gap: '12px' },
   searchInput: { flex: 1, padding: '10px 14px', border: '1px solid #d1d5db', borderRadius: '6px', fontSize: '14px' },
   filterSelect: { padding: '10px 14px', border: '1px solid #d1d5db', borderRadius: '6px', fontSize: '14px', backgroundColor: '#fff', minWidth: '150px' },
   inventoryTable: { backgroundColor: '#fff', borderRadius: '12px', overflow: 'hidden', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' },
@@ -829,6 +3513,7 @@ const styles = {
   tr: { borderBottom: '1px solid #e2e8f0' },
   td: { padding: '14px 16px', fontSize: '14px', color: '#374151' },
   tableStatus: { padding: '4px 10px', borderRadius: '20px', fontSize: '12px', fontWeight: '500', textTransform: 'capitalize' },
+  rowActions: { display: 'flex', gap: '6px' },
   qrBtn: { backgroundColor: '#f1f5f9', border: '1px solid #d1d5db', padding: '6px 12px', borderRadius: '4px', fontSize: '12px', cursor: 'pointer', color: '#475569' },
   deficienciesContainer: {},
   deficienciesHeader: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' },
@@ -839,6 +3524,14 @@ const styles = {
   defHeader: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' },
   severityBadge: { padding: '4px 10px', borderRadius: '4px', fontSize: '11px', fontWeight: '600' },
   defDate: { fontSize: '12px', color: '#64748b' },
+  defBadges: { display: 'flex', gap: '6px' },
+  photoPickerWrap: { display: 'inline-flex', alignItems: 'center', gap: '4px' },
+  photoPicker: { padding: '4px 10px', border: '1px dashed #94a3b8', borderRadius: '6px', fontSize: '12px', color: '#475569', cursor: 'pointer', whiteSpace: 'nowrap' },
+  photoStrip: { display: 'flex', flexWrap: 'wrap', gap: '8px', margin: '8px 0' },
+  photoThumbWrap: { position: 'relative' },
+  photoThumb: { width: '72px', height: '72px', objectFit: 'cover', borderRadius: '6px', border: '1px solid #e2e8f0', display: 'block' },
+  photoRemoveBtn: { position: 'absolute', top: '-6px', right: '-6px', width: '20px', height: '20px', borderRadius: '50%', border: 'none', backgroundColor: '#dc2626', color: '#fff', fontSize: '10px', cursor: 'pointer' },
+  photoAdd: { width: '72px', height: '72px', display: 'flex', alignItems: 'center', justifyContent: 'center', border: '1px dashed #94a3b8', borderRadius: '6px', fontSize: '12px', color: '#475569', cursor: 'pointer' },
   defEquipment: { margin: '0 0 8px', fontSize: '16px', color: '#1e293b' },
   defDescription: { margin: '0 0 8px', fontSize: '14px', color: '#475569', lineHeight: '1.5' },
   defReporter: { margin: '0', fontSize: '12px', color: '#94a3b8' },
@@ -848,7 +3541,12 @@ const styles = {
   resolvedCard: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', padding: '12px 16px', backgroundColor: '#f8fafc', borderRadius: '8px', fontSize: '13px' },
   resolvedEquip: { fontWeight: '500', color: '#475569' },
   resolvedDesc: { color: '#94a3b8', flex: 1, marginLeft: '16px' },
-  resolvedDate: { color: '#94a3b8' },
+  reservationsContainer: {},
+  calendarHeader: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '12px' },
+  calendarGrid: { display: 'grid', gridTemplateColumns: 'repeat(7, 1fr)', gap: '4px' },
+  calendarWeekday: { textAlign: 'center', fontSize: '11px', fontWeight: '600', color: '#64748b', textTransform: 'uppercase', padding: '4px 0' },
+  calendarDay: { textAlign: 'center', padding: '10px 0', borderRadius: '6px', border: '1px solid #e2e8f0', fontSize: '13px', color: '#1e293b' },
+  calendarLegend: { display: 'flex', gap: '16px', marginTop: '12px', fontSize: '12px', color: '#64748b' },
   historyContainer: {},
   historyHeader: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '20px' },
   historyTable: { backgroundColor: '#fff', borderRadius: '12px', overflow: 'hidden', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' },
@@ -875,8 +3573,28 @@ const styles = {
   adminCard: { backgroundColor: '#fff', padding: '24px', borderRadius: '12px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)' },
   adminCardTitle: { margin: '0 0 16px', fontSize: '16px', fontWeight: '600', color: '#1e293b' },
   adminDesc: { fontSize: '14px', color: '#64748b', lineHeight: '1.5', marginBottom: '16px' },
+  timeline: { display: 'flex', flexDirection: 'column', borderLeft: '2px solid #e2e8f0', marginLeft: '6px', paddingLeft: '20px', gap: '16px' },
+  timelineEntry: { position: 'relative' },
+  timelineDot: { position: 'absolute', left: '-27px', top: '4px', width: '12px', height: '12px', borderRadius: '50%', backgroundColor: '#3b82f6', border: '2px solid #fff' },
+  timelineTitle: { margin: 0, fontSize: '14px', fontWeight: '600', color: '#1e293b' },
+  auditChange: { margin: '2px 0', fontSize: '12px', color: '#475569', fontFamily: 'monospace' },
   addBtn: { width: '100%', backgroundColor: '#1e3a5f', color: '#fff', border: 'none', padding: '12px', borderRadius: '8px', fontSize: '14px', fontWeight: '600', cursor: 'pointer', marginTop: '8px' },
   statsList: { display: 'flex', flexDirection: 'column', gap: '12px' },
+  analyticsSummary: { display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))', gap: '16px' },
+  analyticsStat: { backgroundColor: '#fff', padding: '16px 20px', borderRadius: '12px', boxShadow: '0 1px 3px rgba(0,0,0,0.1)', fontSize: '13px', color: '#64748b' },
+  analyticsStatValue: { display: 'block', fontSize: '28px', color: '#1e293b', marginBottom: '4px' },
+  analyticsScroll: { maxHeight: '360px', overflowY: 'auto' },
+  barRow: { display: 'grid', gridTemplateColumns: 'minmax(0, 2fr) 3fr auto', alignItems: 'center', gap: '10px', fontSize: '13px', color: '#475569' },
+  barLabel: { overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' },
+  barTrack: { height: '10px', backgroundColor: '#f1f5f9', borderRadius: '5px', overflow: 'hidden' },
+  barFill: { display: 'block', height: '100%', backgroundColor: '#3b82f6', borderRadius: '5px' },
+  barValue: { fontWeight: '600', color: '#1e293b', minWidth: '40px', textAlign: 'right' },
+  splitBar: { display: 'flex', height: '20px', borderRadius: '6px', overflow: 'hidden', marginBottom: '16px' },
+  monthChart: { display: 'flex', alignItems: 'flex-end', gap: '4px' },
+  monthColumn: { flex: 1, minWidth: 0, display: 'flex', flexDirection: 'column', alignItems: 'stretch', textAlign: 'center' },
+  monthBars: { height: '160px', display: 'flex', flexDirection: 'column', justifyContent: 'flex-end', backgroundColor: '#f8fafc', borderRadius: '4px', overflow: 'hidden' },
+  monthLabel: { fontSize: '11px', color: '#64748b', marginTop: '4px', whiteSpace: 'nowrap', overflow: 'hidden' },
+  monthDeficiencies: { fontSize: '10px', color: '#dc2626', height: '14px' },
   statRow: { display: 'flex', justifyContent: 'space-between', padding: '8px 0', borderBottom: '1px solid #f1f5f9', fontSize: '14px', color: '#475569' },
   exportButtonGroup: { display: 'flex', flexDirection: 'column', gap: '10px' },
   exportBtnLarge: { backgroundColor: '#f1f5f9', border: '1px solid #d1d5db', padding: '12px 16px', borderRadius: '8px', fontSize: '14px', cursor: 'pointer', color: '#374151', textAlign: 'left', fontWeight: '500' },
@@ -888,5 +3606,12 @@ const styles = {
   qrInstructions: { fontSize: '13px', color: '#64748b', margin: '20px 0', lineHeight: '1.5' },
   modalButtons: { display: 'flex', gap: '12px', justifyContent: 'center' },
   printModalBtn: { backgroundColor: '#1e3a5f', color: '#fff', border: 'none', padding: '10px 24px', borderRadius: '6px', fontSize: '14px', cursor: 'pointer' },
+  editorModal: { backgroundColor: '#fff', padding: '32px', borderRadius: '16px', maxWidth: '480px', width: '90%', maxHeight: '90vh', overflowY: 'auto', textAlign: 'left' },
+  dangerZone: { display: 'flex', flexDirection: 'column', gap: '10px', marginTop: '8px', paddingTop: '16px', borderTop: '1px solid #fee2e2' },
+  deleteBtn: { backgroundColor: '#fff', border: '1px solid #fca5a5', color: '#dc2626', padding: '12px 16px', borderRadius: '8px', fontSize: '14px', cursor: 'pointer', textAlign: 'left', fontWeight: '500' },
+  checkboxLabel: { display: 'flex', alignItems: 'center', gap: '6px', fontSize: '13px', color: '#475569', whiteSpace: 'nowrap' },
+  intervalInput: { width: '80px', padding: '6px 10px', border: '1px solid #d1d5db', borderRadius: '6px', fontSize: '13px' },
+  categoryCount: { color: '#94a3b8', fontSize: '12px' },
+  formRow: { display: 'flex', gap: '12px' },
   closeModalBtn: { backgroundColor: '#f1f5f9', color: '#475569', border: 'none', padding: '10px 24px', borderRadius: '6px', fontSize: '14px', cursor: 'pointer' }
 }
@@ -0,0 +1,64 @@
+import QRCode from 'qrcode'
+
+// Printed on every label under the item name; set VITE_CLUB_NAME for another club
+export const CLUB_NAME = import.meta.env.VITE_CLUB_NAME || "Groton Sportsmen's Club"
+
+// Where the labels' links point; set VITE_APP_URL to the production site so labels printed anywhere (a preview
+// deploy, npm run dev) still open it. Falls back to the site the labels are printed from
+const APP_URL = (import.meta.env.VITE_APP_URL || window.location.origin).replace(/\/+$/, '')
+
+// What a label's QR code holds: a link to the item's page, so a phone camera opens it directly.
+// The checkout scan box accepts these links as well as bare codes from older labels.
+export const equipmentUrl = (code) => `${APP_URL}/equipment/${encodeURIComponent(code)}`
+
+// US Letter sticker sheets, all sizes in inches. pitchX/pitchY are the distance from one label to the next
+// (label size plus gutter); stacked layouts put the QR above the text instead of beside it.
+export const LABEL_LAYOUTS = {
+  '5160': { name: 'Avery 5160 - 1" × 2⅝", 30 per sheet', columns: 3, rows: 10, width: 2.625, height: 1, top: 0.5, left: 0.1875, pitchX: 2.75, pitchY: 1 },
+  '5163': { name: 'Avery 5163 - 2" × 4", 10 per sheet', columns: 2, rows: 5, width: 4, height: 2, top: 0.5, left: 0.15625, pitchX: 4.1875, pitchY: 2 },
+  '22806': { name: 'Avery 22806 - 2" × 2" square, 12 per sheet', columns: 3, rows: 4, width: 2, height: 2, top: 0.625, left: 0.625, pitchX: 2.625, pitchY: 2.5833, stacked: true }
+}
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch])
+
+const labelHtml = (item, qrUrl) => `<div class="label"><img src="${qrUrl}" alt=""><div class="text"><div class="code">${escapeHtml(item.equipment_code)}</div><div class="name">${escapeHtml(item.name)}</div><div class="club">${escapeHtml(CLUB_NAME)}</div></div></div>`
+
+// Builds a standalone, print-ready HTML document of label sheets for the given items.
+// skip leaves that many labels blank at the start of the first sheet, for reusing a partly used sheet.
+export const buildLabelSheet = async (items, layoutKey, { skip = 0 } = {}) => {
+  const layout = LABEL_LAYOUTS[layoutKey]
+  const perSheet = layout.columns * layout.rows
+  const qrSize = layout.stacked ? layout.height * 0.62 : layout.height - 0.16
+  const qrUrls = await Promise.all(items.map(item => QRCode.toDataURL(equipmentUrl(item.equipment_code), { width: 300, margin: 1, errorCorrectionLevel: 'M' })))
+  const cells = [...Array(skip).fill('<div class="label"></div>'), ...items.map((item, i) => labelHtml(item, qrUrls[i]))]
+  const sheets = []
+  for (let i = 0; i < cells.length; i += perSheet) sheets.push(`<section class="sheet">${cells.slice(i, i + perSheet).join('')}</section>`)
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Equipment labels - ${escapeHtml(layout.name)}</title>
+<style>
+  @page { size: letter; margin: 0; }
+  * { box-sizing: border-box; }
+  body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #000; }
+  .toolbar { padding: 12px 16px; background: #1e3a5f; color: #fff; font-size: 14px; display: flex; gap: 12px; align-items: center; }
+  .toolbar button { padding: 6px 14px; font-size: 14px; cursor: pointer; }
+  .sheet { width: 8.5in; height: 11in; padding: ${layout.top}in 0 0 ${layout.left}in; display: grid; grid-template-columns: repeat(${layout.columns}, ${layout.width}in); grid-auto-rows: ${layout.height}in; column-gap: ${(layout.pitchX - layout.width).toFixed(4)}in; row-gap: ${(layout.pitchY - layout.height).toFixed(4)}in; page-break-after: always; break-after: page; overflow: hidden; }
+  .label { width: ${layout.width}in; height: ${layout.height}in; padding: 0.08in; display: flex; ${layout.stacked ? 'flex-direction: column; align-items: center; text-align: center;' : 'align-items: center; gap: 0.08in;'} overflow: hidden; }
+  .label img { width: ${qrSize}in; height: ${qrSize}in; flex-shrink: 0; }
+  .text { min-width: 0; line-height: 1.2; }
+  .code { font-family: monospace; font-weight: 700; font-size: ${layout.height >= 2 ? 14 : 10}pt; }
+  .name { font-size: ${layout.height >= 2 ? 11 : 8}pt; overflow: hidden; display: -webkit-box; -webkit-line-clamp: 2; -webkit-box-orient: vertical; }
+  .club { font-size: ${layout.height >= 2 ? 8 : 6}pt; color: #444; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+  @media screen { body { background: #e2e8f0; } .sheet { background: #fff; margin: 16px auto; box-shadow: 0 1px 4px rgba(0,0,0,0.2); } .label { outline: 1px dashed #cbd5e1; } }
+  @media print { .toolbar { display: none; } }
+</style>
+</head>
+<body>
+<div class="toolbar"><button onclick="window.print()">Print / Save as PDF</button><span>${items.length} label${items.length === 1 ? '' : 's'} on ${sheets.length} sheet${sheets.length === 1 ? '' : 's'} of ${escapeHtml(layout.name)}. Print at 100% scale ("Actual size"), not "Fit to page".</span></div>
+${sheets.join('\n')}
+</body>
+</html>`
+}
@@ -11,3 +11,8 @@ ReactDOM.createRoot(document.getElementById('root')).render(
     </BrowserRouter>
   </React.StrictMode>,
 )
+
+// Installable app shell for the offline kiosk (public/sw.js); not used by the dev server
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => navigator.serviceWorker.register('/sw.js').catch(error => console.error('Service worker registration failed:', error)))
+}
@@ -0,0 +1,174 @@
+import { supabase } from './supabaseClient'
+
+// Offline support for the shed kiosk, all kept in localStorage so it survives a reload or a cold start:
+//   cache    - the last copy of the data checkout needs (inventory, open checkouts, categories, ...)
+//   queue    - checkouts, returns and problem reports made while offline, replayed in order by sync_kiosk_queue()
+//   members  - PIN verifiers for members who signed in here while online, so they can sign in offline, and their
+//              offline tokens (issue_offline_token), sealed with the PIN
+//   device   - the key a chair issued when registering this kiosk (Admin → Offline Kiosks)
+const CACHE_PREFIX = 'eq_cache:'
+const QUEUE_KEY = 'eq_offline_queue'
+const MEMBERS_KEY = 'eq_offline_members'
+const DEVICE_KEY = 'eq_kiosk_device'
+
+// Offline sign-in works for this long after a member's last online sign-in at the kiosk
+const OFFLINE_LOGIN_DAYS = 30
+const OFFLINE_MAX_FAILURES = 5
+const OFFLINE_LOCKOUT_MS = 15 * 60 * 1000
+const PBKDF2_ITERATIONS = 100000
+
+const readJSON = (key, fallback) => {
+  const stored = localStorage.getItem(key)
+  return stored ? JSON.parse(stored) : fallback
+}
+const writeJSON = (key, value) => localStorage.setItem(key, JSON.stringify(value))
+
+// supabase-js reports a dropped connection as a failed fetch rather than an HTTP error
+export const isNetworkError = (error) => !navigator.onLine || /Failed to fetch|NetworkError|Load failed|fetch failed|Failed to send a request/i.test(error?.message || '')
+
+// ---------- Device ----------
+
+// Registration hands out a setup link with ?device=<key>; keep the key and take it out of the address bar
+export const getDeviceKey = () => {
+  const params = new URLSearchParams(window.location.search)
+  if (params.has('device')) {
+    localStorage.setItem(DEVICE_KEY, params.get('device'))
+    params.delete('device')
+    window.history.replaceState(null, '', `${window.location.pathname}${params.toString() ? `?${params}` : ''}`)
+  }
+  return localStorage.getItem(DEVICE_KEY)
+}
+
+// ---------- Cache ----------
+
+export const saveCache = (name, data) => {
+  try {
+    writeJSON(CACHE_PREFIX + name, data)
+  } catch (error) {
+    console.error('Offline cache full:', error)
+  }
+}
+
+export const loadCache = (name, fallback) => readJSON(CACHE_PREFIX + name, fallback)
+
+// ---------- Queue ----------
+
+export const loadQueue = () => readJSON(QUEUE_KEY, [])
+
+// The signed-in member's offline token, from their online sign-in here or unsealed by their offline sign-in.
+// sync_kiosk_queue() only applies an op for the member whose token it carries.
+let memberToken = null
+
+export const forgetOfflineToken = () => { memberToken = null }
+
+export const enqueue = (kind, userId, payload) => {
+  const op = { id: crypto.randomUUID(), kind, user_id: userId, token: memberToken, queued_at: new Date().toISOString(), payload }
+  writeJSON(QUEUE_KEY, [...loadQueue(), op])
+  return op
+}
+
+// Shows queued work on top of server (or cached) data, so the kiosk reflects what happened while offline.
+// Safe to apply to data that already includes an op (e.g. synced but the response was lost).
+export const applyQueueToEquipment = (equipment, queue = loadQueue()) => {
+  const status = {}
+  for (const op of queue) {
+    if (op.kind === 'checkout') op.payload.equipment_ids.forEach(id => { status[id] = 'checked-out' })
+    if (op.kind === 'return') op.payload.returns.forEach(r => { status[r.equipment_id] = r.condition === 'deficiency' && r.severity === 'major' ? 'needs-repair' : 'available' })
+    if (op.kind === 'report' && op.payload.severity === 'major') status[op.payload.equipment_id] = 'needs-repair'
+  }
+  return Object.keys(status).length === 0 ? equipment : equipment.map(eq => status[eq.id] ? { ...eq, status: status[eq.id] } : eq)
+}
+
+export const applyQueueToOpenCheckouts = (openCheckouts, queue = loadQueue()) => {
+  let result = openCheckouts
+  for (const op of queue) {
+    if (op.kind === 'checkout') {
+      result = [...result.filter(c => !op.payload.equipment_ids.includes(c.equipment_id)), ...op.payload.equipment_ids.map(id => ({ id: null, equipment_id: id, user_id: op.user_id, checkout_date: op.queued_at, expected_return: op.payload.expected_return, offline: true }))]
+    }
+    if (op.kind === 'return') result = result.filter(c => !op.payload.returns.some(r => r.equipment_id === c.equipment_id))
+  }
+  return result
+}
+
+// Replays the whole queue in one call. Ops the server has recorded, applied or in conflict, leave the queue;
+// if the call fails they all stay for the next attempt. Resolves to the server's per-op results.
+let syncing = null
+export const syncQueue = () => {
+  if (!syncing) syncing = runSync().finally(() => { syncing = null })
+  return syncing
+}
+
+const runSync = async () => {
+  const queue = loadQueue()
+  const deviceKey = getDeviceKey()
+  if (queue.length === 0 || !deviceKey) return []
+  const { data, error } = await supabase.rpc('sync_kiosk_queue', { p_device_key: deviceKey, p_ops: queue })
+  if (error) throw error
+  const recorded = new Set(data.map(r => r.id))
+  writeJSON(QUEUE_KEY, loadQueue().filter(op => !recorded.has(op.id)))
+  return data
+}
+
+// ---------- Offline sign-in ----------
+
+const toHex = (buffer) => [...new Uint8Array(buffer)].map(b => b.toString(16).padStart(2, '0')).join('')
+const fromHex = (hex) => new Uint8Array(hex.match(/../g).map(h => parseInt(h, 16)))
+
+const derivePinHash = async (pin, salt) => {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits'])
+  return toHex(await crypto.subtle.deriveBits({ name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' }, material, 256))
+}
+
+const deriveTokenKey = async (pin, salt) => {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveKey'])
+  return crypto.subtle.deriveKey({ name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' }, material, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt'])
+}
+
+// Called after a successful online sign-in: get an offline token for this kiosk and keep it, sealed with the PIN,
+// along with a salted PIN hash and the member's profile. Staff get no token and are not kept.
+export const rememberMember = async (memberNumber, pin, profile) => {
+  const members = readJSON(MEMBERS_KEY, {})
+  const { data: token, error } = await supabase.rpc('issue_offline_token', { p_device_key: getDeviceKey() })
+  if (error) {
+    delete members[memberNumber]
+    writeJSON(MEMBERS_KEY, members)
+    if (error.message === 'OFFLINE_NOT_ALLOWED') return
+    throw error
+  }
+  memberToken = token
+  const salt = crypto.getRandomValues(new Uint8Array(16))
+  const tokenSalt = crypto.getRandomValues(new Uint8Array(16))
+  const iv = crypto.getRandomValues(new Uint8Array(12))
+  const hash = await derivePinHash(pin, salt)
+  const sealed = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await deriveTokenKey(pin, tokenSalt), new TextEncoder().encode(token))
+  members[memberNumber] = {
+    salt: toHex(salt),
+    hash,
+    token: { salt: toHex(tokenSalt), iv: toHex(iv), sealed: toHex(sealed) },
+    savedAt: Date.now(),
+    failures: [],
+    profile: { id: profile.id, first_name: profile.first_name, last_name: profile.last_name, employee_number: profile.employee_number, role: profile.role }
+  }
+  writeJSON(MEMBERS_KEY, members)
+}
+
+// Resolves to the member's profile, or throws with a message for the login screen
+export const verifyOfflineMember = async (memberNumber, pin) => {
+  const members = readJSON(MEMBERS_KEY, {})
+  const entry = members[memberNumber]
+  if (!entry?.token || Date.now() - entry.savedAt > OFFLINE_LOGIN_DAYS * 86400000) {
+    throw new Error('The kiosk is offline and this member has not signed in here recently. Try again when it is back online.')
+  }
+  const recentFailures = entry.failures.filter(t => Date.now() - t < OFFLINE_LOCKOUT_MS)
+  if (recentFailures.length >= OFFLINE_MAX_FAILURES) throw new Error('Too many failed attempts. Try again in 15 minutes.')
+  if (await derivePinHash(pin, fromHex(entry.salt)) !== entry.hash) {
+    members[memberNumber] = { ...entry, failures: [...recentFailures, Date.now()] }
+    writeJSON(MEMBERS_KEY, members)
+    throw new Error('Member number or PIN is incorrect')
+  }
+  members[memberNumber] = { ...entry, failures: [] }
+  writeJSON(MEMBERS_KEY, members)
+  const key = await deriveTokenKey(pin, fromHex(entry.token.salt))
+  memberToken = new TextDecoder().decode(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromHex(entry.token.iv) }, key, fromHex(entry.token.sealed)))
+  return entry.profile
+}
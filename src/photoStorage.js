@@ -0,0 +1,80 @@
+import { supabase } from './supabaseClient'
+
+// Where photos live is chosen with VITE_PHOTO_STORAGE:
+//   supabase (default) - Supabase Storage bucket VITE_PHOTO_BUCKET (public read, see DATABASE_SETUP.md)
+//   s3                 - any S3-compatible endpoint that accepts path-style PUTs (e.g. MinIO for testing)
+//   local              - the dev server's local filesystem (vite.config.js), for `npm run dev` only
+const backend = import.meta.env.VITE_PHOTO_STORAGE || 'supabase'
+const bucket = import.meta.env.VITE_PHOTO_BUCKET || 'eq-photos'
+const s3Endpoint = (import.meta.env.VITE_PHOTO_S3_ENDPOINT || '').replace(/\/$/, '')
+
+const PHOTO_MAX_SIZE = 1600
+const THUMB_MAX_SIZE = 320
+const JPEG_QUALITY = 0.85
+
+const supabaseStorage = {
+  async upload(path, blob) {
+    const { error } = await supabase.storage.from(bucket).upload(path, blob, { contentType: 'image/jpeg', upsert: false })
+    if (error) throw error
+  },
+  async remove(paths) {
+    const { error } = await supabase.storage.from(bucket).remove(paths)
+    if (error) throw error
+  },
+  url(path) {
+    return supabase.storage.from(bucket).getPublicUrl(path).data.publicUrl
+  }
+}
+
+// Plain HTTP object store: PUT/GET/DELETE on {base}/{path}
+const httpStorage = (base) => ({
+  async upload(path, blob) {
+    const res = await fetch(`${base}/${path}`, { method: 'PUT', headers: { 'Content-Type': 'image/jpeg' }, body: blob })
+    if (!res.ok) throw new Error(`Photo upload failed (${res.status})`)
+  },
+  async remove(paths) {
+    await Promise.all(paths.map(path => fetch(`${base}/${path}`, { method: 'DELETE' })))
+  },
+  url(path) {
+    return `${base}/${path}`
+  }
+})
+
+const storages = {
+  supabase: supabaseStorage,
+  s3: httpStorage(`${s3Endpoint}/${bucket}`),
+  local: httpStorage('/local-photos')
+}
+
+export const photoStorage = storages[backend] || supabaseStorage
+
+// Scales an image down to fit within maxSize (never up) and re-encodes it as JPEG
+const resizeImage = async (file, maxSize) => {
+  const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' })
+  const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height))
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.round(bitmap.width * scale)
+  canvas.height = Math.round(bitmap.height * scale)
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height)
+  bitmap.close()
+  const blob = await new Promise((resolve, reject) => canvas.toBlob(b => b ? resolve(b) : reject(new Error('Could not read image')), 'image/jpeg', JPEG_QUALITY))
+  return { blob, width: canvas.width, height: canvas.height }
+}
+
+// Resizes a photo, stores it with a thumbnail under folder/ and returns the eq_photos columns
+export const uploadPhoto = async (file, folder) => {
+  if (!file.type.startsWith('image/')) throw new Error(`${file.name} is not an image`)
+  const id = crypto.randomUUID()
+  const photo = await resizeImage(file, PHOTO_MAX_SIZE)
+  const thumb = await resizeImage(file, THUMB_MAX_SIZE)
+  const storagePath = `${folder}/${id}.jpg`
+  const thumbPath = `${folder}/${id}_thumb.jpg`
+  await photoStorage.upload(storagePath, photo.blob)
+  try {
+    await photoStorage.upload(thumbPath, thumb.blob)
+  } catch (error) {
+    await photoStorage.remove([storagePath]).catch(() => {})
+    throw error
+  }
+  return { storage_path: storagePath, thumb_path: thumbPath, width: photo.width, height: photo.height }
+}
@@ -0,0 +1,43 @@
+// Member PIN login
+// Verifies member number + PIN against eq_member_pins (hashed, rate limited in SQL)
+// and hands back a one-time magic link token the client exchanges for a real session.
+import { createClient } from 'npm:@supabase/supabase-js@2'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type'
+}
+
+const json = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } })
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') return new Response('ok', { headers: corsHeaders })
+
+  try {
+    const { memberNumber, pin } = await req.json()
+    if (!memberNumber || !pin) return json({ error: 'Member number and PIN are required' }, 400)
+    if (!/^\d{1,9}$/.test(String(memberNumber).trim())) return json({ error: 'Member number or PIN is incorrect' }, 401)
+
+    const admin = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!, { auth: { persistSession: false } })
+
+    // Rate limited per address as well as per member number. The caller can put anything in x-forwarded-for;
+    // only the last hop, appended by Supabase's own proxy, is the address the request really came from
+    const source = req.headers.get('x-forwarded-for')?.split(',').pop()?.trim() || null
+    const { data: result, error } = await admin.rpc('verify_member_pin', { p_employee_number: parseInt(String(memberNumber).trim(), 10), p_pin: String(pin), p_source: source })
+    if (error) throw error
+    if (result.status === 'locked') return json({ error: 'Too many failed attempts. Try again in 15 minutes.' }, 429)
+    if (result.status !== 'ok') return json({ error: 'Member number or PIN is incorrect' }, 401)
+
+    const { data: authUser, error: userError } = await admin.auth.admin.getUserById(result.user_id)
+    if (userError || !authUser.user?.email) return json({ error: 'No login account for this member. Ask a chair.' }, 403)
+
+    const { data: link, error: linkError } = await admin.auth.admin.generateLink({ type: 'magiclink', email: authUser.user.email })
+    if (linkError) throw linkError
+
+    return json({ token_hash: link.properties.hashed_token })
+  } catch (error) {
+    console.error('Member login error:', error)
+    return json({ error: 'Login failed' }, 500)
+  }
+})
@@ -0,0 +1,227 @@
+// Scheduled notifier
+// Reminds members about checkouts that are due soon or overdue, and sends each chair a daily
+// digest of overdue items, maintenance due and new major deficiencies. Members are also told
+// when a chair decides their checkout or extension request. Every message is recorded in
+// eq_notifications_sent under a dedupe key before it goes out, so running the job again (or
+// twice in one day) never repeats a reminder. Add ?dry_run=1 to see what would be sent without
+// sending or recording anything, and ?only=decisions to send just the decision notices (for a
+// more frequent schedule).
+import { createClient } from 'npm:@supabase/supabase-js@2'
+import { createTransport, type Message, type Recipient } from './transports.ts'
+
+const DUE_SOON_DAYS = Number(Deno.env.get('NOTIFIER_DUE_SOON_DAYS') ?? 1)
+const OVERDUE_REPEAT_DAYS = Number(Deno.env.get('NOTIFIER_OVERDUE_REPEAT_DAYS') ?? 7)
+const TIME_ZONE = Deno.env.get('NOTIFIER_TIME_ZONE') ?? 'UTC'
+const APP_URL = Deno.env.get('APP_URL') ?? ''
+
+// Request decisions older than this are not sent, e.g. after the notifier was off for a while
+const DECISION_LOOKBACK_DAYS = 7
+
+// Mirrors getMaintenanceDue in src/App.jsx
+const MAINTENANCE_DUE_SOON_DAYS = 14
+const USAGE_DUE_SOON_RATIO = 0.9
+const OPEN_DEFICIENCY_STATUSES = ['pending', 'acknowledged', 'in-repair']
+
+const json = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } })
+
+// Today's date (YYYY-MM-DD) in the club's time zone
+const localToday = () => new Intl.DateTimeFormat('en-CA', { timeZone: TIME_ZONE }).format(new Date())
+
+const daysBetween = (from: string, to: string) => Math.round((Date.parse(to) - Date.parse(from)) / 86400000)
+
+const addDays = (date: string, days: number) => new Date(Date.parse(date) + days * 86400000).toISOString().slice(0, 10)
+
+const footer = APP_URL ? `\n\n${APP_URL}` : ''
+
+Deno.serve(async (req) => {
+  const secret = Deno.env.get('NOTIFIER_SECRET')
+  if (!secret || req.headers.get('Authorization') !== `Bearer ${secret}`) return json({ error: 'Unauthorized' }, 401)
+
+  const params = new URL(req.url).searchParams
+  const dryRun = params.has('dry_run')
+  const decisionsOnly = params.get('only') === 'decisions'
+  const today = localToday()
+  const result = { sent: [] as string[], skipped: [] as string[], failed: [] as string[], dryRun }
+
+  try {
+    const admin = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!, { auth: { persistSession: false } })
+    // No default: an unset transport would record every reminder as sent and they would never go out.
+    // A dry run sends nothing, so it works before a transport is chosen.
+    const transportName = Deno.env.get('NOTIFIER_TRANSPORT')
+    if (!transportName && !dryRun) return json({ error: 'NOTIFIER_TRANSPORT is not set. Use smtp or webhook, or log for local testing.' }, 500)
+    const transport = createTransport(transportName ?? 'log')
+
+    // Contact details come from the auth account (email, phone)
+    const contacts = new Map<string, Recipient>()
+    const recipient = async (user: { id: string; first_name: string; last_name: string }): Promise<Recipient> => {
+      if (!contacts.has(user.id)) {
+        const { data } = await admin.auth.admin.getUserById(user.id)
+        contacts.set(user.id, { id: user.id, name: `${user.first_name} ${user.last_name}`, email: data.user?.email, phone: data.user?.phone })
+      }
+      return contacts.get(user.id)!
+    }
+
+    // Claims the dedupe key, then sends; the claim is released if sending fails so the next run retries
+    const deliver = async (key: string, message: Message) => {
+      if (!transport.accepts(message.to)) { result.skipped.push(`${key} (no address)`); return }
+      if (dryRun) {
+        const { data } = await admin.from('eq_notifications_sent').select('id').eq('dedupe_key', key).maybeSingle()
+        ;(data ? result.skipped : result.sent).push(key)
+        return
+      }
+      const { data: claimed, error } = await admin.from('eq_notifications_sent')
+        .upsert({ dedupe_key: key, kind: message.kind, recipient_id: message.to.id, channel: transport.name, subject: message.subject }, { onConflict: 'dedupe_key', ignoreDuplicates: true })
+        .select('id')
+      if (error) throw error
+      if (!claimed || claimed.length === 0) { result.skipped.push(key); return }
+      try {
+        await transport.send(message)
+        result.sent.push(key)
+      } catch (sendError) {
+        console.error(`Notifier send error (${key}):`, sendError)
+        await admin.from('eq_notifications_sent').delete().eq('id', claimed[0].id)
+        result.failed.push(key)
+      }
+    }
+
+    // ---- Decisions on checkout and extension requests ----
+    const decidedSince = new Date(Date.now() - DECISION_LOOKBACK_DAYS * 86400000).toISOString()
+    const [{ data: checkoutDecisions, error: checkoutDecisionError }, { data: extensionDecisions, error: extensionDecisionError }] = await Promise.all([
+      admin.from('eq_checkout_requests')
+        .select('id, status, expected_return, decision_note, users!eq_checkout_requests_user_id_fkey (id, first_name, last_name), eq_equipment (equipment_code, name)')
+        .neq('status', 'pending')
+        .gt('decided_at', decidedSince),
+      admin.from('eq_extension_requests')
+        .select('id, status, requested_return, decision_note, users!eq_extension_requests_user_id_fkey (id, first_name, last_name), eq_checkouts (eq_equipment (equipment_code, name))')
+        .neq('status', 'pending')
+        .gt('decided_at', decidedSince)
+    ])
+    if (checkoutDecisionError) throw checkoutDecisionError
+    if (extensionDecisionError) throw extensionDecisionError
+
+    const noteLine = (note: string | null) => note ? `\n\nNote from the chair: ${note}` : ''
+    for (const r of checkoutDecisions ?? []) {
+      const item = `${r.eq_equipment.name} (${r.eq_equipment.equipment_code})`
+      const approved = r.status === 'approved'
+      await deliver(`checkout-request:${r.id}:${r.status}`, {
+        kind: 'checkout-decision',
+        to: await recipient(r.users),
+        subject: approved ? `Approved: ${r.eq_equipment.name} is checked out to you` : `Request for ${r.eq_equipment.name} was not approved`,
+        text: approved
+          ? `Hi ${r.users.first_name},\n\nYour request for ${item} was approved and it is now checked out to you${r.expected_return ? `, due back ${r.expected_return}` : ''}.${noteLine(r.decision_note)}${footer}`
+          : `Hi ${r.users.first_name},\n\nYour request to check out ${item} was denied.${noteLine(r.decision_note)}${footer}`
+      })
+    }
+    for (const r of extensionDecisions ?? []) {
+      const equipment = r.eq_checkouts?.eq_equipment
+      const item = equipment ? `${equipment.name} (${equipment.equipment_code})` : 'your item'
+      const approved = r.status === 'approved'
+      await deliver(`extension:${r.id}:${r.status}`, {
+        kind: 'extension-decision',
+        to: await recipient(r.users),
+        subject: approved ? `Extension approved: keep ${equipment?.name ?? 'it'} until ${r.requested_return}` : `Extension for ${equipment?.name ?? 'your item'} was not approved`,
+        text: approved
+          ? `Hi ${r.users.first_name},\n\nYou can keep ${item} until ${r.requested_return}.${noteLine(r.decision_note)}${footer}`
+          : `Hi ${r.users.first_name},\n\nYour request to keep ${item} longer was denied. Please return it by the original due date.${noteLine(r.decision_note)}${footer}`
+      })
+    }
+
+    if (decisionsOnly) return json(result)
+
+    // ---- Member reminders ----
+    const { data: openCheckouts, error: checkoutError } = await admin.from('eq_checkouts')
+      .select('id, expected_return, users (id, first_name, last_name), eq_equipment (equipment_code, name)')
+      .is('return_date', null)
+      .not('expected_return', 'is', null)
+    if (checkoutError) throw checkoutError
+
+    const overdue = []
+    for (const c of openCheckouts ?? []) {
+      const daysLeft = daysBetween(today, c.expected_return)
+      const item = `${c.eq_equipment.name} (${c.eq_equipment.equipment_code})`
+      if (daysLeft >= 0 && daysLeft <= DUE_SOON_DAYS) {
+        await deliver(`due-soon:${c.id}:${c.expected_return}`, {
+          kind: 'due-soon',
+          to: await recipient(c.users),
+          subject: `Reminder: ${c.eq_equipment.name} is due back ${daysLeft === 0 ? 'today' : daysLeft === 1 ? 'tomorrow' : `in ${daysLeft} days`}`,
+          text: `Hi ${c.users.first_name},\n\n${item} is due back on ${c.expected_return}. If you need it longer, please ask a chair.${footer}`
+        })
+      } else if (daysLeft < 0) {
+        const daysOverdue = -daysLeft
+        overdue.push({ ...c, daysOverdue })
+        // First notice on day 1, then every OVERDUE_REPEAT_DAYS
+        const stage = Math.floor((daysOverdue - 1) / OVERDUE_REPEAT_DAYS)
+        await deliver(`overdue:${c.id}:${c.expected_return}:${stage}`, {
+          kind: 'overdue',
+          to: await recipient(c.users),
+          subject: `Overdue: please return ${c.eq_equipment.name}`,
+          text: `Hi ${c.users.first_name},\n\n${item} was due back on ${c.expected_return} and is now ${daysOverdue} day${daysOverdue === 1 ? '' : 's'} overdue. Please return it as soon as you can so other members can use it.${footer}`
+        })
+      }
+    }
+
+    // ---- Chair digest ----
+    const [{ data: equipment }, { data: categories }, { data: usage }, { data: chairs }, { data: awaitingApproval }, { data: conflicts }] = await Promise.all([
+      admin.from('eq_equipment').select('*').is('retired_at', null).order('equipment_code'),
+      admin.from('eq_categories').select('name, maintenance_interval_days'),
+      admin.from('eq_equipment_usage').select('*'),
+      admin.from('users').select('id, first_name, last_name').in('role', ['admin', 'chair']),
+      admin.from('eq_checkout_requests').select('id, created_at, users!eq_checkout_requests_user_id_fkey (first_name, last_name), eq_equipment (equipment_code, name)').eq('status', 'pending').order('created_at'),
+      admin.from('eq_offline_ops').select('id, kind, queued_at, error_code, error_detail, users!eq_offline_ops_user_id_fkey (first_name, last_name)').eq('status', 'conflict').is('resolved_at', null).order('queued_at')
+    ])
+    const pendingRequests = awaitingApproval ?? []
+    const offlineConflicts = conflicts ?? []
+
+    const maintenanceDue = (equipment ?? []).map(eq => {
+      const interval = eq.maintenance_interval_days || categories?.find(c => c.name === eq.category)?.maintenance_interval_days || null
+      const used = usage?.find(u => u.equipment_id === eq.id)
+      const reasons: string[] = []
+      if (interval && !eq.last_maintenance) reasons.push('never serviced')
+      else if (interval) {
+        const daysLeft = daysBetween(today, addDays(eq.last_maintenance, interval))
+        if (daysLeft <= MAINTENANCE_DUE_SOON_DAYS) reasons.push(daysLeft < 0 ? `${-daysLeft} days overdue` : `due in ${daysLeft} days`)
+      }
+      if (eq.service_every_hours && used && Number(used.hours_since_service) >= eq.service_every_hours * USAGE_DUE_SOON_RATIO) reasons.push(`${used.hours_since_service} of ${eq.service_every_hours} engine hours`)
+      if (eq.service_every_uses && used && used.uses_since_service >= eq.service_every_uses * USAGE_DUE_SOON_RATIO) reasons.push(`${used.uses_since_service} of ${eq.service_every_uses} checkouts`)
+      return { ...eq, reasons }
+    }).filter(eq => eq.reasons.length > 0)
+
+    for (const chair of chairs ?? []) {
+      // "New" means reported since this chair's last digest (or the last 24 hours)
+      const { data: lastDigest } = await admin.from('eq_notifications_sent').select('sent_at').eq('kind', 'digest').eq('recipient_id', chair.id).order('sent_at', { ascending: false }).limit(1).maybeSingle()
+      const since = lastDigest?.sent_at ?? new Date(Date.now() - 86400000).toISOString()
+      const { data: newMajor } = await admin.from('eq_deficiencies')
+        .select('id, description, reported_date, eq_equipment (equipment_code, name)')
+        .eq('severity', 'major')
+        .in('status', OPEN_DEFICIENCY_STATUSES)
+        .gt('created_at', since)
+
+      if (overdue.length === 0 && maintenanceDue.length === 0 && (newMajor ?? []).length === 0 && pendingRequests.length === 0 && offlineConflicts.length === 0) continue
+
+      const sections = [
+        ...(offlineConflicts.length ? [`Offline kiosk transactions that could not be applied (${offlineConflicts.length}) - see the Alerts tab`, ...offlineConflicts.map(op => `- ${op.kind} by ${op.users ? `${op.users.first_name} ${op.users.last_name}` : 'unknown member'} on ${op.queued_at.slice(0, 10)}: ${op.error_code}${op.error_detail ? ` (${op.error_detail})` : ''}`), ''] : []),
+        ...(pendingRequests.length ? [`Checkout requests awaiting approval (${pendingRequests.length})`, ...pendingRequests.map(r => `- ${r.eq_equipment.name} (${r.eq_equipment.equipment_code}): ${r.users.first_name} ${r.users.last_name}, since ${r.created_at.slice(0, 10)}`), ''] : []),
+        `Overdue checkouts (${overdue.length})`,
+        ...(overdue.length ? overdue.map(c => `- ${c.eq_equipment.name} (${c.eq_equipment.equipment_code}): ${c.users.first_name} ${c.users.last_name}, ${c.daysOverdue} days overdue`) : ['- None']),
+        '',
+        `Maintenance due (${maintenanceDue.length})`,
+        ...(maintenanceDue.length ? maintenanceDue.map(eq => `- ${eq.name} (${eq.equipment_code}): ${eq.reasons.join(', ')}`) : ['- None']),
+        '',
+        `New major deficiencies (${(newMajor ?? []).length})`,
+        ...((newMajor ?? []).length ? newMajor!.map(d => `- ${d.eq_equipment.name} (${d.eq_equipment.equipment_code}): ${d.description}`) : ['- None'])
+      ]
+      await deliver(`digest:${today}:${chair.id}`, {
+        kind: 'digest',
+        to: await recipient(chair),
+        subject: `Equipment digest for ${today}: ${overdue.length} overdue, ${maintenanceDue.length} maintenance due, ${(newMajor ?? []).length} new major issues`,
+        text: `Hi ${chair.first_name},\n\n${sections.join('\n')}${footer}`
+      })
+    }
+
+    return json(result)
+  } catch (error) {
+    console.error('Notifier error:', error)
+    return json({ ...result, error: error instanceof Error ? error.message : 'Notifier failed' }, 500)
+  }
+})
@@ -0,0 +1,73 @@
+// Notification transports for the notifier function, chosen with NOTIFIER_TRANSPORT:
+//   log     - prints each message and, if NOTIFIER_LOG_FILE is set, appends it there as a JSON line (local testing)
+//   webhook - POSTs each message as JSON to NOTIFIER_WEBHOOK_URL (SMS gateways, chat bots, ...)
+//   smtp    - sends email through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS, from NOTIFIER_FROM
+import nodemailer from 'npm:nodemailer@6'
+
+export type Recipient = { id: string; name: string; email?: string | null; phone?: string | null }
+export type Message = { kind: string; to: Recipient; subject: string; text: string }
+
+export interface Transport {
+  name: string
+  // false when the recipient has no address this transport can use
+  accepts(to: Recipient): boolean
+  send(message: Message): Promise<void>
+}
+
+const logTransport = (): Transport => {
+  const file = Deno.env.get('NOTIFIER_LOG_FILE')
+  return {
+    name: 'log',
+    accepts: () => true,
+    async send(message) {
+      console.log(`[notifier] ${message.kind} → ${message.to.name}: ${message.subject}`)
+      if (file) await Deno.writeTextFile(file, JSON.stringify({ ...message, sent_at: new Date().toISOString() }) + '\n', { append: true })
+    }
+  }
+}
+
+const webhookTransport = (): Transport => {
+  const url = Deno.env.get('NOTIFIER_WEBHOOK_URL')
+  if (!url) throw new Error('NOTIFIER_WEBHOOK_URL is not set')
+  const secret = Deno.env.get('NOTIFIER_WEBHOOK_SECRET')
+  return {
+    name: 'webhook',
+    accepts: (to) => !!(to.email || to.phone),
+    async send(message) {
+      const res = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(secret ? { Authorization: `Bearer ${secret}` } : {}) },
+        body: JSON.stringify(message)
+      })
+      if (!res.ok) throw new Error(`Webhook responded ${res.status}`)
+    }
+  }
+}
+
+const smtpTransport = (): Transport => {
+  const host = Deno.env.get('SMTP_HOST')
+  const from = Deno.env.get('NOTIFIER_FROM')
+  if (!host || !from) throw new Error('SMTP_HOST and NOTIFIER_FROM must be set')
+  const port = Number(Deno.env.get('SMTP_PORT') ?? 465)
+  const mailer = nodemailer.createTransport({
+    host,
+    port,
+    secure: port === 465,
+    auth: Deno.env.get('SMTP_USER') ? { user: Deno.env.get('SMTP_USER'), pass: Deno.env.get('SMTP_PASS') } : undefined
+  })
+  return {
+    name: 'smtp',
+    accepts: (to) => !!to.email,
+    async send(message) {
+      await mailer.sendMail({ from, to: `"${message.to.name}" <${message.to.email}>`, subject: message.subject, text: message.text })
+    }
+  }
+}
+
+const transports: Record<string, () => Transport> = { log: logTransport, webhook: webhookTransport, smtp: smtpTransport }
+
+export const createTransport = (name: string): Transport => {
+  const factory = transports[name]
+  if (!factory) throw new Error(`Unknown NOTIFIER_TRANSPORT "${name}"`)
+  return factory()
+}
@@ -1,6 +1,32 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import fs from 'node:fs'
+import path from 'node:path'
+
+// Dev-only photo store for VITE_PHOTO_STORAGE=local: serves PUT/GET/DELETE /local-photos/* from PHOTO_STORAGE_DIR
+const localPhotoStorage = () => ({
+  name: 'local-photo-storage',
+  configureServer(server) {
+    const root = path.resolve(process.env.PHOTO_STORAGE_DIR || '.local-photos')
+    server.middlewares.use('/local-photos', (req, res) => {
+      const file = path.join(root, decodeURIComponent(req.url.split('?')[0]))
+      if (!file.startsWith(root + path.sep)) { res.statusCode = 400; return res.end() }
+      if (req.method === 'PUT') {
+        fs.mkdirSync(path.dirname(file), { recursive: true })
+        req.pipe(fs.createWriteStream(file)).on('finish', () => { res.statusCode = 201; res.end() })
+      } else if (req.method === 'DELETE') {
+        fs.rm(file, { force: true }, () => { res.statusCode = 204; res.end() })
+      } else if (fs.existsSync(file)) {
+        res.setHeader('Content-Type', 'image/jpeg')
+        fs.createReadStream(file).pipe(res)
+      } else {
+        res.statusCode = 404
+        res.end()
+      }
+    })
+  }
+})
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), localPhotoStorage()],
 })